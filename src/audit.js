@@ -0,0 +1,253 @@
+/**
+ * Append-only audit journal
+ * Every state-changing command records its arguments, --ts and raw
+ * before/after snapshots of the session or routine it changed.
+ */
+
+import { generateAuditId } from './id.js';
+import { givenArgs } from './idempotency.js';
+import { VERSION } from './version.js';
+import { findRoutine } from './commands/routine.js';
+import { sessionEvents } from './commands/session.js';
+
+/**
+ * Result id of a command that creates its entity
+ */
+const sessionResultId = result => result.session.id;
+const routineResultId = result => (result.routine ? result.routine.id : result.routineId);
+
+/**
+ * Which entity each state-changing command touches
+ * target resolves the entity before the command runs (null when the command creates it).
+ */
+const MUTATIONS = {
+  add: { entityType: 'routine', target: () => null, resultId: routineResultId },
+  edit: { entityType: 'routine', target: routineTarget, resultId: routineResultId },
+  rename: { entityType: 'routine', target: routineTarget, resultId: routineResultId },
+  archive: { entityType: 'routine', target: routineTarget, resultId: routineResultId },
+  unarchive: { entityType: 'routine', target: routineTarget, resultId: routineResultId },
+  skip: { entityType: 'routine', target: routineTarget, resultId: routineResultId },
+  unskip: { entityType: 'routine', target: routineTarget, resultId: routineResultId },
+  start: { entityType: 'session', target: () => null, resultId: sessionResultId },
+  log: { entityType: 'session', target: () => null, resultId: sessionResultId },
+  pause: { entityType: 'session', target: sessionTarget, resultId: sessionResultId },
+  resume: { entityType: 'session', target: sessionTarget, resultId: sessionResultId },
+  stop: { entityType: 'session', target: sessionTarget, resultId: sessionResultId },
+  amend: { entityType: 'session', target: sessionTarget, resultId: sessionResultId },
+  rm: { entityType: 'session', target: sessionTarget, resultId: sessionResultId },
+  restore: { entityType: 'session', target: sessionTarget, resultId: sessionResultId }
+};
+
+export const AUDITED_COMMANDS = Object.keys(MUTATIONS);
+
+/**
+ * Resolve --session to a session id, or null if it does not exist
+ */
+function sessionTarget(db, args) {
+  if (!args.session) {
+    return null;
+  }
+  const row = db.prepare('SELECT id FROM sessions WHERE id = ?').get(args.session);
+  return row ? row.id : null;
+}
+
+/**
+ * Resolve --routine the way the command will, or null if it cannot be
+ * (the command then fails with the proper error)
+ */
+function routineTarget(db, args) {
+  if (!args.routine) {
+    return null;
+  }
+  // archive/unarchive look up archived routines themselves
+  const includeArchived = args.includeArchived || args.command === 'archive' || args.command === 'unarchive';
+  try {
+    return findRoutine(db, args.routine, { includeArchived }).routine.id;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Raw rows of a session with its events and tags
+ * @returns {object|null} - null if the session does not exist
+ */
+export function snapshotSession(db, sessionId) {
+  const session = db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+  if (!session) {
+    return null;
+  }
+  return {
+    session: { ...session },
+    events: sessionEvents(db, sessionId).map(e => ({ ...e })),
+    tags: db.prepare('SELECT tag FROM session_tags WHERE session_id = ? ORDER BY tag ASC').all(sessionId)
+      .map(t => t.tag)
+  };
+}
+
+/**
+ * Raw rows of a routine with its rule versions and skips
+ * @returns {object|null} - null if the routine does not exist
+ */
+export function snapshotRoutine(db, routineId) {
+  const routine = db.prepare('SELECT * FROM routines WHERE id = ?').get(routineId);
+  if (!routine) {
+    return null;
+  }
+  return {
+    routine: { ...routine },
+    rules: db.prepare('SELECT * FROM routine_rules WHERE routine_id = ? ORDER BY effective_date ASC').all(routineId)
+      .map(r => ({ ...r })),
+    skips: db.prepare('SELECT * FROM skips WHERE routine_id = ? ORDER BY date ASC').all(routineId)
+      .map(s => ({ ...s }))
+  };
+}
+
+/**
+ * Snapshot an entity by type
+ */
+export function snapshot(db, entityType, entityId) {
+  return entityType === 'session' ? snapshotSession(db, entityId) : snapshotRoutine(db, entityId);
+}
+
+/**
+ * Insert a raw row captured by a snapshot
+ */
+function insertRow(db, table, row) {
+  const columns = Object.keys(row);
+  db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+    .run(...columns.map(c => row[c]));
+}
+
+/**
+ * Put an entity back to a snapshot, or delete it when the snapshot is null
+ */
+export function restoreSnapshot(db, entityType, entityId, state) {
+  if (entityType === 'session') {
+    db.prepare('DELETE FROM session_events WHERE session_id = ?').run(entityId);
+    db.prepare('DELETE FROM session_tags WHERE session_id = ?').run(entityId);
+    db.prepare('DELETE FROM sessions WHERE id = ?').run(entityId);
+    if (state) {
+      insertRow(db, 'sessions', state.session);
+      state.events.forEach(event => insertRow(db, 'session_events', event));
+      state.tags.forEach(tag => insertRow(db, 'session_tags', { session_id: entityId, tag }));
+    }
+    return;
+  }
+
+  db.prepare('DELETE FROM routine_rules WHERE routine_id = ?').run(entityId);
+  db.prepare('DELETE FROM skips WHERE routine_id = ?').run(entityId);
+  if (!state) {
+    db.prepare('DELETE FROM routines WHERE id = ?').run(entityId);
+    return;
+  }
+  // An existing routine is updated in place, as its sessions reference it
+  if (db.prepare('SELECT id FROM routines WHERE id = ?').get(entityId)) {
+    const columns = Object.keys(state.routine).filter(c => c !== 'id');
+    db.prepare(`UPDATE routines SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(...columns.map(c => state.routine[c]), entityId);
+  } else {
+    insertRow(db, 'routines', state.routine);
+  }
+  state.rules.forEach(rule => insertRow(db, 'routine_rules', rule));
+  state.skips.forEach(skip => insertRow(db, 'skips', skip));
+}
+
+/**
+ * Append an entry to the audit log
+ * @returns {string} - Audit entry id
+ */
+export function appendAudit(db, entry) {
+  const { seq } = db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 as seq FROM audit_log').get();
+  const id = generateAuditId();
+  db.prepare(`
+    INSERT INTO audit_log (id, seq, command, args, ts, entity_type, entity_id, routine_id, before, after, cli_version, undoes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    seq,
+    entry.command,
+    JSON.stringify(entry.args),
+    entry.ts,
+    entry.entityType,
+    entry.entityId,
+    entry.routineId,
+    entry.before ? JSON.stringify(entry.before) : null,
+    entry.after ? JSON.stringify(entry.after) : null,
+    VERSION,
+    entry.undoes || null
+  );
+  return id;
+}
+
+/**
+ * Routine an entity belongs to, from whichever snapshot exists
+ */
+function owningRoutineId(entityType, entityId, before, after) {
+  if (entityType === 'routine') {
+    return entityId;
+  }
+  return (after || before).session.routine_id;
+}
+
+/**
+ * Run a command and journal the change it made
+ * Commands that do not change state run unrecorded. Call inside the
+ * command's transaction so the entry commits with the change.
+ * @param {Function} fn - Runs the command and returns its result
+ * @returns {{result: object, auditId: string|null}} - auditId is null when nothing was recorded
+ */
+export function recordMutation(db, args, fn) {
+  const spec = MUTATIONS[args.command];
+  if (!spec) {
+    return { result: fn(), auditId: null };
+  }
+
+  const targetId = spec.target(db, args);
+  const before = targetId ? snapshot(db, spec.entityType, targetId) : null;
+  const result = fn();
+  const entityId = targetId || spec.resultId(result);
+  const after = snapshot(db, spec.entityType, entityId);
+
+  const auditId = appendAudit(db, {
+    command: args.command,
+    args: givenArgs(args),
+    ts: args.ts,
+    entityType: spec.entityType,
+    entityId,
+    routineId: owningRoutineId(spec.entityType, entityId, before, after),
+    before,
+    after
+  });
+  return { result, auditId };
+}
+
+/**
+ * Select audit rows with the id of the undo entry that reverted each (undone_by)
+ * Alias audit_log as a in WHERE/ORDER BY clauses.
+ */
+export const AUDIT_SELECT = `
+  SELECT a.*, u.id as undone_by FROM audit_log a
+  LEFT JOIN audit_log u ON u.undoes = a.id
+`;
+
+/**
+ * Parse a stored audit row
+ */
+export function auditEntry(row) {
+  return {
+    id: row.id,
+    seq: row.seq,
+    command: row.command,
+    args: JSON.parse(row.args),
+    ts: row.ts,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    routineId: row.routine_id,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null,
+    cliVersion: row.cli_version,
+    undoes: row.undoes,
+    undoneBy: row.undone_by || null
+  };
+}
@@ -0,0 +1,182 @@
+/**
+ * Batch mode: run NDJSON command objects read from stdin in one process
+ * Each line is a command's arguments as an object ({"command":"pause","session":"ses_...","ts":"..."});
+ * each writes one envelope line, tagged with its input line number in meta.line.
+ */
+
+import {
+  CLIError,
+  errorResult,
+  getExitCode,
+  EXIT_SUCCESS,
+  EXIT_GENERIC_FAILURE,
+  ERR_INVALID_ARGS
+} from './errors.js';
+
+/** Commands a batch line cannot run */
+const UNBATCHABLE_COMMANDS = ['batch', 'db'];
+
+/** Options that belong to the batch process, not to one of its commands */
+const BATCH_ONLY_ARGS = ['subcommand', 'format', 'db', 'dbDriver', 'lockTimeout', 'atomic'];
+
+/** Options of batch that its lines do not inherit; a key names a single command */
+const NOT_INHERITED_ARGS = [...BATCH_ONLY_ARGS, 'command', 'idempotencyKey'];
+
+/**
+ * Option name for a line key: camelCase, or kebab-case as on the command line
+ */
+function argName(key) {
+  return key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Build the arguments of one batch line
+ * Options given to batch itself are defaults for every line, except the batch-only ones.
+ * @param {string} text - One input line
+ * @param {object} defaults - Arguments of a command given no options
+ * @param {object} batchArgs - Arguments batch was run with
+ * @returns {object} - Arguments for executeCommand
+ */
+export function parseBatchLine(text, defaults, batchArgs) {
+  let command;
+  try {
+    command = JSON.parse(text);
+  } catch (err) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid JSON: ${err.message}`);
+  }
+  if (command === null || typeof command !== 'object' || Array.isArray(command)) {
+    throw new CLIError(ERR_INVALID_ARGS, 'each line must be a JSON object');
+  }
+
+  const args = { ...defaults };
+  for (const [key, value] of Object.entries(batchArgs)) {
+    if (!NOT_INHERITED_ARGS.includes(key)) {
+      args[key] = value;
+    }
+  }
+
+  for (const [key, value] of Object.entries(command)) {
+    const name = argName(key);
+    if (!Object.hasOwn(defaults, name)) {
+      throw new CLIError(ERR_INVALID_ARGS, `unknown option: ${key}`, { option: key });
+    }
+    if (BATCH_ONLY_ARGS.includes(name)) {
+      throw new CLIError(ERR_INVALID_ARGS, `${key} can only be given to batch itself`, { option: key });
+    }
+
+    const expected = defaults[name];
+    if (Array.isArray(expected)) {
+      // Repeatable options take a list, or a single value
+      const values = Array.isArray(value) ? value : [value];
+      if (!values.every(v => typeof v === 'string')) {
+        throw new CLIError(ERR_INVALID_ARGS, `${key} must be a string or a list of strings`, { option: key });
+      }
+      args[name] = values;
+    } else if (typeof expected === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new CLIError(ERR_INVALID_ARGS, `${key} must be true or false`, { option: key });
+      }
+      args[name] = value;
+    } else {
+      if (typeof value !== 'string' && value !== null) {
+        throw new CLIError(ERR_INVALID_ARGS, `${key} must be a string`, { option: key });
+      }
+      args[name] = value;
+    }
+  }
+
+  if (!args.command) {
+    throw new CLIError(ERR_INVALID_ARGS, 'command is required');
+  }
+  if (UNBATCHABLE_COMMANDS.includes(args.command)) {
+    throw new CLIError(ERR_INVALID_ARGS, `${args.command} cannot run in a batch`, { command: args.command });
+  }
+  return args;
+}
+
+/**
+ * Error envelope and exit code for a failed line
+ */
+function failure(err, line) {
+  if (err instanceof CLIError) {
+    return {
+      envelope: { ...errorResult(err.code, err.message, err.details), meta: { line } },
+      exitCode: err.exitCode || getExitCode(err.code)
+    };
+  }
+  return {
+    envelope: { ...errorResult('ERR_INTERNAL', err.message), meta: { line } },
+    exitCode: EXIT_GENERIC_FAILURE
+  };
+}
+
+/**
+ * Run every command of a batch
+ * Without atomic, each line commits on its own and a failed line does not
+ * stop the rest. With atomic, the lines share one transaction: the first
+ * failure rolls back every earlier line and is the only envelope written.
+ * @param {object} db - Database
+ * @param {string} input - NDJSON text; blank lines are ignored
+ * @param {object} options - { defaults, batchArgs, atomic, execute(args) => envelope, emit(envelope) }
+ * @returns {number} - Exit code: 0, or that of the first failed line
+ */
+export function runBatch(db, input, options) {
+  const { defaults, batchArgs, atomic, execute, emit } = options;
+  const lines = [];
+  input.split('\n').forEach((text, i) => {
+    if (text.trim()) {
+      lines.push({ line: i + 1, text });
+    }
+  });
+
+  if (!atomic) {
+    let exitCode = EXIT_SUCCESS;
+    for (const { line, text } of lines) {
+      try {
+        const envelope = execute(parseBatchLine(text, defaults, batchArgs));
+        emit({ ...envelope, meta: { ...envelope.meta, line } });
+      } catch (err) {
+        const failed = failure(err, line);
+        emit(failed.envelope);
+        if (exitCode === EXIT_SUCCESS) {
+          exitCode = failed.exitCode;
+        }
+      }
+    }
+    return exitCode;
+  }
+
+  // Parse every line first so a malformed one fails the batch before anything runs
+  let failed = null;
+  const envelopes = [];
+  try {
+    const parsed = lines.map(({ line, text }) => {
+      try {
+        return { line, args: parseBatchLine(text, defaults, batchArgs) };
+      } catch (err) {
+        failed = failure(err, line);
+        throw err;
+      }
+    });
+    // Each command's own transaction joins this one
+    db.transaction(() => {
+      for (const { line, args } of parsed) {
+        try {
+          const envelope = execute(args);
+          envelopes.push({ ...envelope, meta: { ...envelope.meta, line } });
+        } catch (err) {
+          failed = failure(err, line);
+          throw err;
+        }
+      }
+    });
+  } catch (err) {
+    if (!failed) {
+      throw err;
+    }
+    emit(failed.envelope);
+    return failed.exitCode;
+  }
+  envelopes.forEach(emit);
+  return EXIT_SUCCESS;
+}
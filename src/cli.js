@@ -5,13 +5,48 @@
  * Per MVP_SPEC.md
  */
 
+import { readFileSync } from 'fs';
 import { homedir } from 'os';
 import { join } from 'path';
 import { getDb, closeDb } from './db.js';
-import { routineAdd, routineList, routineShow } from './commands/routine.js';
-import { sessionStart, sessionActive, sessionStatus, sessionPause, sessionResume, sessionStop } from './commands/session.js';
+import { DEFAULT_LOCK_TIMEOUT_MS } from './lock.js';
+import { DEFAULT_DRIVER } from './drivers/index.js';
+import { runIdempotent } from './idempotency.js';
+import { runBatch } from './batch.js';
+import { recordMutation } from './audit.js';
+import { VERSION } from './version.js';
+import { TABULAR_FORMATS, RAW_FORMATS, validateFormat, formatTable } from './format.js';
+import { renderHuman, useColor } from './render.js';
+import {
+  routineAdd,
+  routineList,
+  routineShow,
+  routineEdit,
+  routineRename,
+  routineArchive,
+  routineUnarchive
+} from './commands/routine.js';
+import {
+  sessionStart,
+  sessionActive,
+  sessionStatus,
+  sessionPause,
+  sessionResume,
+  sessionStop,
+  sessionLog,
+  sessionAmend,
+  sessionRm,
+  sessionRestore
+} from './commands/session.js';
 import { todaySummary } from './commands/today.js';
-import { sessionLog, sessionAmend, sessionRm, routineStreak, routineSkip, routineUnskip } from './commands/stubs.js';
+import { routineStreak } from './commands/streak.js';
+import { routineReport } from './commands/report.js';
+import { routineExport } from './commands/export.js';
+import { routineImport } from './commands/import.js';
+import { routineSkip, routineUnskip } from './commands/skip.js';
+import { dbCommand } from './commands/db.js';
+import { routineHistory } from './commands/history.js';
+import { routineUndo } from './commands/undo.js';
 import {
   CLIError,
   errorResult,
@@ -22,7 +57,6 @@ import {
   ERR_INVALID_ARGS
 } from './errors.js';
 
-const VERSION = '0.1.0';
 const DEFAULT_DB_PATH = join(homedir(), '.routine', 'routine.sqlite3');
 
 const HELP = `routine-cli v${VERSION} - Deterministic routine timer CLI
@@ -34,7 +68,11 @@ COMMANDS:
   Routine Management:
     add        Create a new routine (requires --name, --rule, --ts)
     list       List all routines
-    show       Show routine details (requires --routine)
+    show       Show routine details and rule history (requires --routine)
+    edit       Change name, rule or tz (requires --routine, --ts; a new rule applies from --ts's date)
+    rename     Rename a routine (requires --routine, --name, --ts)
+    archive    Archive a routine (requires --routine, --ts)
+    unarchive  Restore an archived routine (requires --routine, --ts)
 
   Timer/Session:
     start      Start a new session (requires --routine, --ts)
@@ -43,24 +81,54 @@ COMMANDS:
     pause      Pause a session (requires --session, --ts)
     resume     Resume a paused session (requires --session, --ts)
     stop       Stop a session (requires --session, --ts)
+    log        Backfill a completed session (requires --routine, --start, --end, --ts)
+    amend      Edit a session's times, note, tags or routine (requires --session, --ts)
+    rm         Soft-delete a session (requires --session, --ts; --force if active)
+    restore    Restore a deleted session (requires --session, --ts)
 
   Daily Summary:
-    today      Show today's summary
+    today      Show today's summary with goal progress for each routine's window
+    streak     Show current/longest streak of met windows (requires --routine)
+    report     Totals per day, week or month of a range (requires --start, --end YYYY-MM-DD)
+    export     Write stopped sessions as iCalendar (requires --format ics, --start, --end; --out file)
+    import     Import sessions from csv, timewarrior or toggl (requires --provider, --file, --ts)
+
+  Skips:
+    skip       Excuse a date or range (requires --routine, --date or --start/--end, --reason, --ts)
+    unskip     Remove skips (requires --routine, --date or --start/--end, --ts)
+
+  Audit:
+    history    Show every recorded change (requires --session or --routine)
+    undo       Revert the latest change, or --id <aud_...> (requires --ts)
 
-  Not Implemented (MVP):
-    log        Backfill a session
-    amend      Modify a session
-    rm         Delete a session
-    streak     Show streak
-    skip       Skip a date
-    unskip     Remove skip
+  Batch:
+    batch      Run NDJSON command objects from stdin, one envelope per line (--atomic: all or none)
+
+  Database:
+    db version         Show the schema version and pending migrations
+    db migrate         Apply pending migrations (--dry-run to only list them)
+
+RULES:
+  <period><comparator><quantity>, e.g. daily>=30m, weekly>=3h, mon,wed,fri>=45m, daily<=2h, weekly>=3x
+  period: daily | weekly | monthly | mon,tue,...   comparator: >= | <= | ==   quantity: 1h30m | 3x
 
 GLOBAL OPTIONS:
-  --format <human|json>   Output format (default: human)
+  --format <fmt>          human | json | csv | tsv | ndjson (default: human; csv/tsv/ndjson for
+                          list, active, status, today and report); ics for export
+  --out <file>            File for export (default: stdout)
+  --routine-map <a>=<b>   Import rows of source routine a into routine b (repeatable)
   --db <path>             Database path (default: ~/.routine/routine.sqlite3)
   --tz <IANA_TZ>          Timezone for date interpretation
   --no-interactive        Disable interactive prompts
-  --quiet                 Minimal output
+  --quiet                 Human output: print only the ids of affected routines/sessions
+  --week-start <mon..sun> First day of weekly rule windows (default: mon)
+  --granularity <g>       Report buckets: day | week | month (default: day)
+  --explain               Attach a computation trace to status, active, today and report
+  --include-archived      Allow --routine to name an archived routine
+  --idempotency-key <key> Make add/start/pause/resume/stop safe to retry: a replay returns the first result
+  --atomic                Batch: commit every command or none
+  --lock-timeout <ms>     Wait this long for another process's DB lock (default: ${DEFAULT_LOCK_TIMEOUT_MS})
+  --db-driver <name>      auto | better-sqlite3 | node-sqlite | sqljs (default: auto, first available)
 
 EXAMPLES:
   routine add --name "Deep Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00
@@ -68,6 +136,15 @@ EXAMPLES:
   routine active --format json
   routine pause --session ses_01H... --ts 2026-01-31T09:15:00+09:00
   routine stop --session ses_01H... --ts 2026-01-31T10:00:00+09:00
+  routine log --routine "Deep Work" --start 2026-01-31T13:00:00+09:00 --end 2026-01-31T14:00:00+09:00 \\
+    --pause 2026-01-31T13:20:00+09:00/2026-01-31T13:30:00+09:00 --ts 2026-01-31T18:00:00+09:00
+  routine amend --session ses_01H... --end 2026-01-31T09:45:00+09:00 --note "fixed" --ts 2026-01-31T18:00:00+09:00
+  routine edit --routine "Deep Work" --rule "daily>=45m" --ts 2026-02-01T09:00:00+09:00
+  routine report --start 2026-02-02 --end 2026-02-08 --granularity day --tag focus
+  routine export --format ics --start 2026-02-01 --end 2026-02-28 --out routine.ics
+  routine import --provider timewarrior --file timew.json --routine-map "deep=Deep Work" --ts 2026-02-01T09:00:00+09:00
+  echo '{"command":"pause","session":"ses_01H...","ts":"2026-01-31T09:15:00+09:00"}' | routine batch --atomic
+  routine skip --routine "Deep Work" --start 2026-02-09 --end 2026-02-13 --reason "vacation" --ts 2026-02-01T09:00:00+09:00
 
 EXIT CODES:
   0 - Success
@@ -76,16 +153,30 @@ EXIT CODES:
   3 - Not found
   4 - Ambiguity/conflict
   5 - Not implemented
+  6 - Database locked by another process
 `;
 
+/**
+ * Whether opening the database for this command should apply migrations
+ * db version and db migrate --dry-run inspect the database as it is.
+ */
+function shouldMigrate(args) {
+  if (args.command !== 'db') {
+    return true;
+  }
+  return args.subcommand === 'migrate' && !args.dryRun;
+}
+
 /**
  * Parse command line arguments
  */
 function parseArgs(argv) {
   const args = {
     command: null,
+    subcommand: null,
     format: 'human',
     db: DEFAULT_DB_PATH,
+    dbDriver: DEFAULT_DRIVER,
     tz: null,
     noInteractive: false,
     quiet: false,
@@ -97,13 +188,28 @@ function parseArgs(argv) {
     session: null,
     note: null,
     tag: [],
+    untag: [],
     date: null,
     asOf: null,
     start: null,
     end: null,
+    pause: [],
     reason: null,
+    force: false,
+    includeDeleted: false,
+    includeArchived: false,
     explain: false,
-    granularity: 'day'
+    granularity: 'day',
+    weekStart: 'mon',
+    lockTimeout: null,
+    dryRun: false,
+    idempotencyKey: null,
+    id: null,
+    out: null,
+    provider: null,
+    file: null,
+    routineMap: [],
+    atomic: false
   };
 
   let i = 0;
@@ -124,6 +230,8 @@ function parseArgs(argv) {
       args.format = argv[++i];
     } else if (arg === '--db') {
       args.db = argv[++i];
+    } else if (arg === '--db-driver') {
+      args.dbDriver = argv[++i];
     } else if (arg === '--tz') {
       args.tz = argv[++i];
     } else if (arg === '--no-interactive') {
@@ -144,6 +252,8 @@ function parseArgs(argv) {
       args.note = argv[++i];
     } else if (arg === '--tag') {
       args.tag.push(argv[++i]);
+    } else if (arg === '--untag') {
+      args.untag.push(argv[++i]);
     } else if (arg === '--date') {
       args.date = argv[++i];
     } else if (arg === '--as-of') {
@@ -152,14 +262,44 @@ function parseArgs(argv) {
       args.start = argv[++i];
     } else if (arg === '--end') {
       args.end = argv[++i];
+    } else if (arg === '--pause') {
+      args.pause.push(argv[++i]);
     } else if (arg === '--reason') {
       args.reason = argv[++i];
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg === '--include-deleted') {
+      args.includeDeleted = true;
+    } else if (arg === '--include-archived') {
+      args.includeArchived = true;
     } else if (arg === '--explain') {
       args.explain = true;
     } else if (arg === '--granularity') {
       args.granularity = argv[++i];
+    } else if (arg === '--week-start') {
+      args.weekStart = argv[++i];
+    } else if (arg === '--lock-timeout') {
+      args.lockTimeout = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--idempotency-key') {
+      args.idempotencyKey = argv[++i];
+    } else if (arg === '--id') {
+      args.id = argv[++i];
+    } else if (arg === '--out') {
+      args.out = argv[++i];
+    } else if (arg === '--provider') {
+      args.provider = argv[++i];
+    } else if (arg === '--file') {
+      args.file = argv[++i];
+    } else if (arg === '--routine-map') {
+      args.routineMap.push(argv[++i]);
+    } else if (arg === '--atomic') {
+      args.atomic = true;
     } else if (!arg.startsWith('-') && !args.command) {
       args.command = arg;
+    } else if (!arg.startsWith('-') && !args.subcommand) {
+      args.subcommand = arg;
     }
 
     i++;
@@ -170,21 +310,21 @@ function parseArgs(argv) {
 
 /**
  * Output result in specified format
+ * @param {object} options - { quiet: boolean } for human output
  */
-function output(result, format, command, meta = {}) {
-  if (format === 'json') {
+function output(result, format, command, meta = {}, options = {}) {
+  if (format === 'ics') {
+    // With --out the calendar is already on disk
+    if (!result.out) {
+      process.stdout.write(result.calendar);
+    }
+  } else if (TABULAR_FORMATS.includes(format)) {
+    process.stdout.write(formatTable(format, command, result));
+  } else if (format === 'json') {
     const envelope = result.ok === false ? result : successResult(command, result, [], meta);
     console.log(JSON.stringify(envelope, null, 2));
   } else {
-    // Human-readable output
-    if (result.ok === false) {
-      console.error(`Error: ${result.error.message}`);
-      if (result.error.details) {
-        console.error(`Details: ${JSON.stringify(result.error.details, null, 2)}`);
-      }
-    } else {
-      console.log(JSON.stringify(result, null, 2));
-    }
+    process.stdout.write(renderHuman(command, result, { color: useColor(), quiet: options.quiet }));
   }
 }
 
@@ -200,6 +340,14 @@ function executeCommand(db, args) {
       return routineList(db, args);
     case 'show':
       return routineShow(db, args);
+    case 'edit':
+      return routineEdit(db, args);
+    case 'rename':
+      return routineRename(db, args);
+    case 'archive':
+      return routineArchive(db, args);
+    case 'unarchive':
+      return routineUnarchive(db, args);
 
     // Session/Timer
     case 'start':
@@ -214,30 +362,100 @@ function executeCommand(db, args) {
       return sessionResume(db, args);
     case 'stop':
       return sessionStop(db, args);
-
-    // Daily summary
-    case 'today':
-      return todaySummary(db, args);
-
-    // Stubs
     case 'log':
       return sessionLog(db, args);
     case 'amend':
       return sessionAmend(db, args);
     case 'rm':
       return sessionRm(db, args);
+    case 'restore':
+      return sessionRestore(db, args);
+
+    // Daily summary
+    case 'today':
+      return todaySummary(db, args);
     case 'streak':
       return routineStreak(db, args);
+    case 'report':
+      return routineReport(db, args);
+    case 'export':
+      return routineExport(db, args);
+    case 'import':
+      return routineImport(db, args);
+
+    // Skips
     case 'skip':
       return routineSkip(db, args);
     case 'unskip':
       return routineUnskip(db, args);
 
+    // Audit
+    case 'history':
+      return routineHistory(db, args);
+    case 'undo':
+      return routineUndo(db, args);
+
+    // Database maintenance
+    case 'db':
+      return dbCommand(db, args);
+
     default:
       throw new CLIError(ERR_INVALID_ARGS, `unknown command: ${args.command}`);
   }
 }
 
+/**
+ * Run a command in one transaction, honoring --idempotency-key and
+ * journaling the change it makes
+ * @returns {{result: object, replayed: boolean}}
+ */
+function runCommand(db, args) {
+  return db.transaction(() => runIdempotent(db, args, () => recordMutation(db, args, () => executeCommand(db, args))));
+}
+
+/**
+ * Envelope meta for a command's result
+ */
+function commandMeta(db, args, replayed) {
+  const meta = { db: args.db, dbDriver: db.driver, tz: args.tz };
+  if (args.idempotencyKey) {
+    meta.idempotencyKey = args.idempotencyKey;
+    meta.replayed = replayed;
+  }
+  return meta;
+}
+
+/**
+ * Run batch: NDJSON commands from stdin, one compact envelope written per line
+ * @returns {number} - Exit code
+ */
+function batch(db, args) {
+  return runBatch(db, readFileSync(0, 'utf8'), {
+    defaults: parseArgs([]),
+    batchArgs: args,
+    atomic: args.atomic,
+    execute: lineArgs => {
+      const { result, replayed } = runCommand(db, lineArgs);
+      // Lines never carry --db, so the path comes from batch's own arguments
+      return successResult(lineArgs.command, result, [], { ...commandMeta(db, lineArgs, replayed), db: args.db });
+    },
+    emit: envelope => process.stdout.write(`${JSON.stringify(envelope)}\n`)
+  });
+}
+
+/**
+ * Validate --lock-timeout (milliseconds)
+ */
+function parseLockTimeout(value) {
+  if (value === null) {
+    return DEFAULT_LOCK_TIMEOUT_MS;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --lock-timeout: ${value} (use milliseconds, e.g. 5000)`);
+  }
+  return parseInt(value, 10);
+}
+
 /**
  * Main entry point
  */
@@ -249,35 +467,55 @@ async function main() {
     process.exit(0);
   }
 
-  let db;
+  // Exit only after closeDb() so the final save lands and the lock is released
+  let exitCode = EXIT_SUCCESS;
   try {
-    db = await getDb(args.db);
-    const result = executeCommand(db, args);
-    output(result, args.format, args.command, { db: args.db, tz: args.tz });
-    process.exit(EXIT_SUCCESS);
+    validateFormat(args.format, args.command);
+    if (args.command === 'batch') {
+      // batch only writes envelope lines; its own errors go to stderr like other raw formats
+      args.format = 'ndjson';
+    }
+    const lockTimeout = parseLockTimeout(args.lockTimeout);
+    // Commands that only inspect the database neither migrate nor create it
+    const migrate = shouldMigrate(args);
+    const db = await getDb(args.db, { lockTimeout, migrate, create: migrate, driver: args.dbDriver });
+    if (args.command === 'batch') {
+      exitCode = batch(db, args);
+    } else {
+      const { result, replayed } = runCommand(db, args);
+      output(result, args.format, args.command, commandMeta(db, args, replayed), { quiet: args.quiet });
+    }
   } catch (err) {
     if (err instanceof CLIError) {
       const result = errorResult(err.code, err.message, err.details);
       if (args.format === 'json') {
         console.log(JSON.stringify(result, null, 2));
+      } else if (RAW_FORMATS.includes(args.format)) {
+        // Keep stdout parseable: the envelope goes to stderr as one line
+        console.error(JSON.stringify(result));
       } else {
         console.error(`Error [${err.code}]: ${err.message}`);
         if (err.details && Object.keys(err.details).length > 0) {
           console.error(`Details: ${JSON.stringify(err.details, null, 2)}`);
         }
       }
-      process.exit(err.exitCode || getExitCode(err.code));
+      exitCode = err.exitCode || getExitCode(err.code);
     } else {
-      // Unexpected error
-      console.error(`Fatal error: ${err.message}`);
-      if (args.format === 'json') {
-        console.log(JSON.stringify(errorResult('ERR_INTERNAL', err.message), null, 2));
+      // Unexpected error; raw formats keep stderr to the one-line envelope
+      if (RAW_FORMATS.includes(args.format)) {
+        console.error(JSON.stringify(errorResult('ERR_INTERNAL', err.message)));
+      } else {
+        console.error(`Fatal error: ${err.message}`);
+        if (args.format === 'json') {
+          console.log(JSON.stringify(errorResult('ERR_INTERNAL', err.message), null, 2));
+        }
       }
-      process.exit(1);
+      exitCode = 1;
     }
   } finally {
     closeDb();
   }
+  process.exit(exitCode);
 }
 
 main();
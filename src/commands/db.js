@@ -0,0 +1,63 @@
+/**
+ * Database maintenance commands: db version, db migrate
+ */
+
+import {
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  pendingMigrations
+} from '../migrations.js';
+import { CLIError, ERR_INVALID_ARGS } from '../errors.js';
+
+/**
+ * routine db version command
+ * Reports the database's schema version without migrating it.
+ * A --db file that does not exist is reported as version 0 with exists: false.
+ */
+export function dbVersion(db, _args) {
+  const version = getSchemaVersion(db);
+  const pending = version > SCHEMA_VERSION ? [] : pendingMigrations(db);
+  return {
+    exists: db.exists,
+    version,
+    supported: SCHEMA_VERSION,
+    upToDate: version === SCHEMA_VERSION,
+    pending
+  };
+}
+
+/**
+ * routine db migrate command
+ * Migrations are applied when the database is opened (see initDb); this
+ * reports what was applied, or with --dry-run what would be.
+ */
+export function dbMigrate(db, args) {
+  if (args.dryRun) {
+    const version = getSchemaVersion(db);
+    return {
+      dryRun: true,
+      from: version,
+      to: SCHEMA_VERSION,
+      pending: pendingMigrations(db)
+    };
+  }
+
+  return {
+    dryRun: false,
+    ...db.migrations
+  };
+}
+
+/**
+ * Route db subcommands
+ */
+export function dbCommand(db, args) {
+  switch (args.subcommand) {
+    case 'version':
+      return dbVersion(db, args);
+    case 'migrate':
+      return dbMigrate(db, args);
+    default:
+      throw new CLIError(ERR_INVALID_ARGS, `unknown db subcommand: ${args.subcommand} (use version or migrate)`);
+  }
+}
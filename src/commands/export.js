@@ -0,0 +1,94 @@
+/**
+ * Calendar export command: export
+ */
+
+import { closeSync, fsyncSync, openSync, renameSync, unlinkSync, writeSync } from 'fs';
+import { getWindowBoundaries } from '../period.js';
+import { renderCalendar } from '../ics.js';
+import { findRoutine } from './routine.js';
+import { buildSession } from './session.js';
+import { validateRange } from './report.js';
+import { CLIError, ERR_INVALID_ARGS } from '../errors.js';
+
+/**
+ * Write a file through a fsynced temp file and rename, so a calendar
+ * client polling it never reads a partial export
+ */
+function writeAtomic(path, text) {
+  const tmpPath = `${path}.tmp-${process.pid}`;
+  try {
+    const fd = openSync(tmpPath, 'w');
+    try {
+      writeSync(fd, text);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmpPath, path);
+  } catch (err) {
+    try {
+      unlinkSync(tmpPath);
+    } catch {
+      // Nothing was written
+    }
+    throw new CLIError(ERR_INVALID_ARGS, `cannot write --out ${path}: ${err.message}`, { out: path });
+  }
+}
+
+/**
+ * Times a session was changed after it was created, from the audit log
+ * Journal entries are never removed, so the count only grows; undoing a
+ * change counts as another one.
+ */
+function revisionCount(db, sessionId) {
+  return db.prepare(`
+    SELECT COUNT(*) as n FROM audit_log WHERE entity_id = ? AND before IS NOT NULL
+  `).get(sessionId).n;
+}
+
+/**
+ * Stopped sessions of a routine overlapping the local dates start..end
+ * Running sessions have no end yet and are left out until stopped.
+ */
+function stoppedSessions(db, routine, start, end) {
+  const boundaries = getWindowBoundaries({ start, end }, routine.tz);
+  const stmt = db.prepare(`
+    SELECT * FROM sessions
+    WHERE routine_id = ? AND deleted_at IS NULL AND end_ts IS NOT NULL
+    ORDER BY start_ts ASC, id ASC
+  `);
+  return stmt.all(routine.id)
+    .filter(row => new Date(row.start_ts) < boundaries.end && new Date(row.end_ts) > boundaries.start)
+    .map(row => ({ ...buildSession(db, row, row.end_ts), sequence: revisionCount(db, row.id) }));
+}
+
+/**
+ * routine export command
+ * Renders stopped sessions in --start..--end (each routine's local dates) as
+ * an iCalendar feed, written to --out or returned for stdout.
+ */
+export function routineExport(db, args) {
+  validateRange(args);
+
+  let routines;
+  if (args.routine) {
+    routines = [findRoutine(db, args.routine, { includeArchived: args.includeArchived }).routine];
+  } else {
+    routines = db.prepare(`
+      SELECT id, name, tz, rule, created_at as createdAt, archived_at as archivedAt
+      FROM routines
+      WHERE archived_at IS NULL
+    `).all();
+  }
+
+  const sessions = routines
+    .flatMap(routine => stoppedSessions(db, routine, args.start, args.end))
+    .sort((a, b) => new Date(a.start) - new Date(b.start) || (a.id < b.id ? -1 : 1));
+  const calendar = renderCalendar(sessions);
+
+  if (args.out) {
+    writeAtomic(args.out, calendar);
+    return { out: args.out, sessionsCount: sessions.length };
+  }
+  return { out: null, sessionsCount: sessions.length, calendar };
+}
@@ -0,0 +1,45 @@
+/**
+ * Audit history command: history
+ */
+
+import { AUDIT_SELECT, auditEntry } from '../audit.js';
+import { findRoutine } from './routine.js';
+import {
+  CLIError,
+  ERR_INVALID_ARGS,
+  ERR_SESSION_NOT_FOUND,
+  EXIT_NOT_FOUND
+} from '../errors.js';
+
+/**
+ * routine history command
+ * Lists audit entries oldest first: for --session the entries that changed
+ * it, for --routine those of the routine and all of its sessions.
+ */
+export function routineHistory(db, args) {
+  if (!args.session && !args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, '--session or --routine is required');
+  }
+  if (args.session && args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, 'pass either --session or --routine, not both');
+  }
+
+  if (args.session) {
+    const rows = db.prepare(`
+      ${AUDIT_SELECT} WHERE a.entity_type = 'session' AND a.entity_id = ? ORDER BY a.seq ASC
+    `).all(args.session);
+    const exists = db.prepare('SELECT id FROM sessions WHERE id = ?').get(args.session);
+    if (!exists && rows.length === 0) {
+      throw new CLIError(ERR_SESSION_NOT_FOUND, `session not found: ${args.session}`, { sessionId: args.session }, EXIT_NOT_FOUND);
+    }
+    return { sessionId: args.session, entries: rows.map(auditEntry) };
+  }
+
+  const { routine } = findRoutine(db, args.routine, { includeArchived: true });
+  const rows = db.prepare(`${AUDIT_SELECT} WHERE a.routine_id = ? ORDER BY a.seq ASC`).all(routine.id);
+  return {
+    routineId: routine.id,
+    routineName: routine.name,
+    entries: rows.map(auditEntry)
+  };
+}
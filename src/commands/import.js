@@ -0,0 +1,288 @@
+/**
+ * Import command: import
+ */
+
+import { readFileSync } from 'fs';
+import { generateSessionId } from '../id.js';
+import { parseRFC3339, isBefore } from '../time.js';
+import { resolveImporter } from '../importers/index.js';
+import { tagError } from '../tag.js';
+import { appendAudit, snapshot } from '../audit.js';
+import { findRoutine, routineAdd, validateRule } from './routine.js';
+import {
+  CLIError,
+  ERR_INVALID_ARGS,
+  ERR_TS_REQUIRED,
+  ERR_INVALID_TIME_FORMAT,
+  ERR_ROUTINE_NOT_FOUND
+} from '../errors.js';
+
+/**
+ * Get system timezone
+ */
+function getSystemTz() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Parse repeated --routine-map <source>=<routine> values
+ * @returns {Map<string, string>} - Source routine name to routine name or id
+ */
+function parseRoutineMap(values) {
+  const map = new Map();
+  for (const value of values) {
+    const at = value.indexOf('=');
+    if (at <= 0 || at === value.length - 1) {
+      throw new CLIError(ERR_INVALID_ARGS, `invalid --routine-map: ${value} (use <source>=<routine>)`);
+    }
+    map.set(value.slice(0, at), value.slice(at + 1));
+  }
+  return map;
+}
+
+/**
+ * Whether two timestamps name the same instant
+ */
+function sameInstant(a, b) {
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Whether a stored session and an import row cover overlapping time
+ */
+function overlaps(session, entry) {
+  return Boolean(session.end_ts) && isBefore(session.start_ts, entry.end) && isBefore(entry.start, session.end_ts);
+}
+
+/**
+ * Why an import row cannot be imported, or null when it can
+ */
+function entryError(entry) {
+  if (entry.error) {
+    return entry.error;
+  }
+  if (isBefore(entry.end, entry.start)) {
+    return 'end is before start';
+  }
+  const badTag = entry.tags.find(tag => tagError(tag));
+  if (badTag !== undefined) {
+    return `invalid tag ${JSON.stringify(badTag)}: ${tagError(badTag)}`;
+  }
+  return null;
+}
+
+/**
+ * Journal an entity the import created
+ */
+function auditCreated(db, args, entityType, entityId, routineId) {
+  appendAudit(db, {
+    command: 'import',
+    args: { provider: args.provider, file: args.file, ts: args.ts },
+    ts: args.ts,
+    entityType,
+    entityId,
+    routineId,
+    before: null,
+    after: snapshot(db, entityType, entityId)
+  });
+}
+
+/**
+ * Insert an imported session with its tags, keyed by (provider, key)
+ */
+function insertSession(db, args, routineId, entry) {
+  const sessionId = generateSessionId();
+  db.prepare(`
+    INSERT INTO sessions (id, routine_id, start_ts, end_ts, note, created_at, updated_at, deleted_at, source_provider, source_key)
+    VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?, ?)
+  `).run(sessionId, routineId, entry.start, entry.end, entry.note, args.ts, args.ts, args.provider, entry.key);
+
+  const tagStmt = db.prepare('INSERT OR IGNORE INTO session_tags (session_id, tag) VALUES (?, ?)');
+  for (const tag of entry.tags) {
+    tagStmt.run(sessionId, tag);
+  }
+  auditCreated(db, args, 'session', sessionId, routineId);
+  return sessionId;
+}
+
+/**
+ * routine import command
+ * Creates sessions from another tracker's export. Rows already imported
+ * (same provider and key, or without a stable key, an overlapping session of
+ * the same routine) are skipped, or reported as conflicts when their times
+ * changed at the source; missing routines are created.
+ */
+export function routineImport(db, args) {
+  if (!args.provider) {
+    throw new CLIError(ERR_INVALID_ARGS, '--provider is required');
+  }
+  const importer = resolveImporter(args.provider);
+  if (!args.file) {
+    throw new CLIError(ERR_INVALID_ARGS, '--file is required');
+  }
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+  const tsResult = parseRFC3339(args.ts);
+  if (!tsResult.valid) {
+    throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --ts: ${tsResult.error}`);
+  }
+  if (args.rule) {
+    validateRule(args.rule);
+  }
+  const routineMap = parseRoutineMap(args.routineMap);
+
+  let text;
+  try {
+    text = readFileSync(args.file, 'utf8');
+  } catch (err) {
+    throw new CLIError(ERR_INVALID_ARGS, `cannot read --file ${args.file}: ${err.message}`, { file: args.file });
+  }
+  const tz = args.tz || getSystemTz();
+  const entries = importer.parse(text, { tz });
+
+  // A created routine starts at its earliest imported session, so its
+  // windows and streaks cover the imported history
+  const firstStart = new Map();
+  for (const entry of entries.filter(e => !e.error)) {
+    const name = routineMap.get(entry.routine) || entry.routine;
+    if (!firstStart.has(name) || isBefore(entry.start, firstStart.get(name))) {
+      firstStart.set(name, entry.start);
+    }
+  }
+
+  const routines = new Map();
+  const routinesCreated = [];
+  // An existing routine, or null when the import would create it
+  const lookupRoutine = name => {
+    if (!routines.has(name)) {
+      try {
+        routines.set(name, findRoutine(db, name, { includeArchived: args.includeArchived }).routine);
+      } catch (err) {
+        if (err.code !== ERR_ROUTINE_NOT_FOUND || name.startsWith('rtn_')) {
+          throw err;
+        }
+        return null;
+      }
+    }
+    return routines.get(name);
+  };
+  const resolveRoutine = name => {
+    const existing = lookupRoutine(name);
+    if (existing) {
+      return existing;
+    }
+    const routine = args.dryRun
+      ? { id: null, name }
+      : routineAdd(db, { name, rule: args.rule, tz: args.tz, ts: firstStart.get(name) }).routine;
+    if (routine.id) {
+      auditCreated(db, args, 'routine', routine.id, routine.id);
+    }
+    routinesCreated.push({ id: routine.id, name });
+    routines.set(name, routine);
+    return routine;
+  };
+
+  const keyedStmt = db.prepare(`
+    SELECT id, start_ts, end_ts FROM sessions WHERE source_provider = ? AND source_key = ?
+  `);
+  const importedStmt = db.prepare(`
+    SELECT id, start_ts, end_ts FROM sessions WHERE source_provider = ? AND routine_id = ?
+  `);
+  // Rows seen in this file stand in for rows a dry run does not insert:
+  // by key, and rows without one by routine name
+  const seen = new Map();
+  const seenUnkeyed = new Map();
+
+  // A row imported before: the one with its key or, for rows without a stable
+  // key, an imported session of the same routine overlapping it (an exact match first)
+  const findImported = (entry, name) => {
+    if (entry.key !== null) {
+      return keyedStmt.get(args.provider, entry.key) || seen.get(entry.key);
+    }
+    const routine = lookupRoutine(name);
+    const candidates = [
+      ...(routine && routine.id ? importedStmt.all(args.provider, routine.id) : []),
+      ...(seenUnkeyed.get(name) || [])
+    ];
+    return candidates.find(c => sameInstant(c.start_ts, entry.start) && sameInstant(c.end_ts, entry.end)) ||
+      candidates.find(c => overlaps(c, entry));
+  };
+
+  // Routines are only created with a rule the caller chose: any default
+  // would report days without sessions as met or as missed
+  if (!args.rule) {
+    const missing = new Set();
+    for (const entry of entries.filter(e => !entryError(e))) {
+      const name = routineMap.get(entry.routine) || entry.routine;
+      if (!lookupRoutine(name) && !findImported(entry, name)) {
+        missing.add(name);
+      }
+    }
+    if (missing.size > 0) {
+      throw new CLIError(
+        ERR_INVALID_ARGS,
+        `--rule is required to create routines: ${[...missing].join(', ')}`,
+        { routines: [...missing] }
+      );
+    }
+  }
+
+  const imported = [];
+  const skipped = [];
+  const conflicts = [];
+  const invalid = [];
+
+  for (const entry of entries) {
+    const error = entryError(entry);
+    if (error) {
+      invalid.push({ row: entry.row, error });
+      continue;
+    }
+
+    const name = routineMap.get(entry.routine) || entry.routine;
+    const existing = findImported(entry, name);
+    if (existing) {
+      if (sameInstant(existing.start_ts, entry.start) && sameInstant(existing.end_ts, entry.end)) {
+        skipped.push({ row: entry.row, key: entry.key, sessionId: existing.id });
+      } else {
+        conflicts.push({
+          row: entry.row,
+          key: entry.key,
+          sessionId: existing.id,
+          existing: { start: existing.start_ts, end: existing.end_ts },
+          incoming: { start: entry.start, end: entry.end }
+        });
+      }
+      continue;
+    }
+
+    const routine = resolveRoutine(name);
+    const sessionId = args.dryRun ? null : insertSession(db, args, routine.id, entry);
+    const stored = { id: sessionId, start_ts: entry.start, end_ts: entry.end };
+    if (entry.key !== null) {
+      seen.set(entry.key, stored);
+    } else {
+      seenUnkeyed.set(name, [...(seenUnkeyed.get(name) || []), stored]);
+    }
+    imported.push({ row: entry.row, key: entry.key, sessionId, routineId: routine.id, routineName: routine.name });
+  }
+
+  return {
+    provider: args.provider,
+    file: args.file,
+    dryRun: args.dryRun,
+    counts: {
+      imported: imported.length,
+      skipped: skipped.length,
+      conflicts: conflicts.length,
+      invalid: invalid.length,
+      routinesCreated: routinesCreated.length
+    },
+    routinesCreated,
+    imported,
+    skipped,
+    conflicts,
+    invalid
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Range report command: report
+ */
+
+import { parseRFC3339, nowRFC3339, isValidDate } from '../time.js';
+import { WEEKDAYS } from '../rule.js';
+import {
+  GRANULARITIES,
+  bucketsBetween,
+  explainBoundaries,
+  explainContribution,
+  getWindowBoundaries,
+  loadRoutineSessions,
+  sumSessions
+} from '../period.js';
+import { findRoutine } from './routine.js';
+import {
+  CLIError,
+  ERR_INVALID_ARGS,
+  ERR_INVALID_TIME_FORMAT
+} from '../errors.js';
+
+/**
+ * Add one set of totals into another
+ */
+function addTotals(into, totals) {
+  into.durationSeconds += totals.durationSeconds;
+  into.pausedSeconds += totals.pausedSeconds;
+  into.activeSeconds += totals.activeSeconds;
+  into.sessionsCount += totals.sessionsCount;
+  return into;
+}
+
+/**
+ * Empty totals
+ */
+function zeroTotals() {
+  return { durationSeconds: 0, pausedSeconds: 0, activeSeconds: 0, sessionsCount: 0 };
+}
+
+/**
+ * Validate --start/--end (YYYY-MM-DD, inclusive)
+ */
+export function validateRange(args) {
+  if (!args.start || !args.end) {
+    throw new CLIError(ERR_INVALID_ARGS, '--start and --end are required (YYYY-MM-DD)');
+  }
+  for (const [flag, value] of [['--start', args.start], ['--end', args.end]]) {
+    if (!isValidDate(value)) {
+      throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid ${flag} format (use YYYY-MM-DD)`);
+    }
+  }
+  if (args.end < args.start) {
+    throw new CLIError(ERR_INVALID_ARGS, '--end must not be before --start', { start: args.start, end: args.end });
+  }
+}
+
+/**
+ * routine report command
+ * Totals each routine's sessions per day, week or month of a date range.
+ * Buckets are local dates in each routine's own timezone.
+ */
+export function routineReport(db, args) {
+  validateRange(args);
+  if (!Object.hasOwn(GRANULARITIES, args.granularity)) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --granularity: ${args.granularity} (use ${Object.keys(GRANULARITIES).join(', ')})`);
+  }
+  if (!WEEKDAYS.includes(args.weekStart)) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --week-start: ${args.weekStart} (use ${WEEKDAYS.join(', ')})`);
+  }
+
+  const asOf = args.asOf || nowRFC3339();
+  if (args.asOf) {
+    const tsResult = parseRFC3339(args.asOf);
+    if (!tsResult.valid) {
+      throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --as-of: ${tsResult.error}`);
+    }
+  }
+
+  let routines;
+  if (args.routine) {
+    routines = [findRoutine(db, args.routine, { includeArchived: args.includeArchived }).routine];
+  } else {
+    routines = db.prepare(`
+      SELECT id, name, tz, rule, created_at as createdAt, archived_at as archivedAt
+      FROM routines
+      WHERE archived_at IS NULL
+      ORDER BY name ASC, id ASC
+    `).all();
+  }
+
+  const buckets = bucketsBetween(args.start, args.end, args.granularity, args.weekStart);
+  const totals = zeroTotals();
+  const traces = [];
+
+  const report = routines.map(routine => {
+    // With --tag, only sessions carrying every given tag count
+    const sessions = loadRoutineSessions(db, routine.id, asOf)
+      .filter(session => args.tag.every(tag => session.tags.includes(tag)));
+
+    const routineTotals = zeroTotals();
+    const routineBuckets = buckets.map(bucket => {
+      const bucketTotals = sumSessions(sessions, getWindowBoundaries(bucket, routine.tz), asOf);
+      addTotals(routineTotals, bucketTotals);
+      return { start: bucket.start, end: bucket.end, totals: bucketTotals };
+    });
+    addTotals(totals, routineTotals);
+
+    if (args.explain) {
+      traces.push({
+        routineId: routine.id,
+        tz: routine.tz,
+        buckets: buckets.map(bucket => ({
+          ...explainBoundaries(bucket, routine.tz, asOf),
+          sessions: sessions
+            .map(session => explainContribution(session, getWindowBoundaries(bucket, routine.tz), asOf))
+            .filter(trace => trace.clipped)
+        }))
+      });
+    }
+
+    return {
+      routineId: routine.id,
+      routineName: routine.name,
+      tz: routine.tz,
+      buckets: routineBuckets,
+      totals: routineTotals
+    };
+  });
+
+  const result = {
+    start: args.start,
+    end: args.end,
+    granularity: args.granularity,
+    weekStart: args.weekStart,
+    asOf,
+    tags: args.tag,
+    routines: report,
+    totals
+  };
+  if (args.explain) {
+    result.explanation = { asOf, tags: args.tag, routines: traces };
+  }
+  return result;
+}
@@ -1,15 +1,20 @@
 /**
- * Routine management commands: add, list, show
+ * Routine management commands: add, list, show, edit, rename, archive, unarchive
  */
 
-import { generateRoutineId } from '../id.js';
-import { parseRFC3339 } from '../time.js';
+import { generateRoutineId, generateRuleId } from '../id.js';
+import { parseRFC3339, getDateInTz, isValidTimezone } from '../time.js';
+import { parseRule } from '../rule.js';
+import { listSkips } from './skip.js';
 import {
   CLIError,
   ERR_INVALID_ARGS,
+  ERR_INVALID_RULE,
+  ERR_INVALID_STATE,
   ERR_TS_REQUIRED,
   ERR_INVALID_TIME_FORMAT,
   ERR_ROUTINE_NOT_FOUND,
+  ERR_ROUTINE_ARCHIVED,
   ERR_AMBIGUOUS_ROUTINE,
   EXIT_NOT_FOUND,
   EXIT_AMBIGUITY
@@ -22,6 +27,76 @@ function getSystemTz() {
   return Intl.DateTimeFormat().resolvedOptions().timeZone;
 }
 
+/**
+ * Parse a --rule value, failing with the position of the first bad token
+ * @returns {object} - Rule AST
+ */
+export function validateRule(rule) {
+  const result = parseRule(rule);
+  if (!result.valid) {
+    throw new CLIError(ERR_INVALID_RULE, `invalid --rule at position ${result.position}: ${result.error}`, {
+      rule,
+      position: result.position,
+      pointer: `${' '.repeat(result.position)}^`
+    });
+  }
+  return result.ast;
+}
+
+/**
+ * Fail unless --tz names a timezone Intl knows
+ */
+function validateTimezone(tz) {
+  if (!isValidTimezone(tz)) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --tz: ${tz} (use an IANA timezone, e.g. Asia/Seoul)`);
+  }
+}
+
+/**
+ * Record the rule in effect from a local date, replacing any version from the same date
+ * routines.rule is kept in sync with the latest version.
+ * @param {string} effectiveDate - YYYY-MM-DD in the routine's timezone
+ * @param {string} ts - RFC3339 time of the change
+ */
+export function recordRuleVersion(db, routineId, rule, effectiveDate, ts) {
+  db.prepare(`
+    INSERT INTO routine_rules (id, routine_id, rule, effective_date, created_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(routine_id, effective_date) DO UPDATE SET rule = excluded.rule, created_at = excluded.created_at
+  `).run(generateRuleId(), routineId, rule, effectiveDate, ts);
+
+  const latest = db.prepare(`
+    SELECT rule FROM routine_rules WHERE routine_id = ? ORDER BY effective_date DESC LIMIT 1
+  `).get(routineId);
+  db.prepare('UPDATE routines SET rule = ? WHERE id = ?').run(latest.rule, routineId);
+  return latest.rule;
+}
+
+/**
+ * List a routine's rule versions, oldest first
+ */
+function listRuleVersions(db, routineId) {
+  const stmt = db.prepare(`
+    SELECT rule, effective_date as effectiveDate, created_at as createdAt
+    FROM routine_rules WHERE routine_id = ?
+    ORDER BY effective_date ASC
+  `);
+  return stmt.all(routineId);
+}
+
+/**
+ * Require --ts and check its format
+ */
+function requireTs(args) {
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+  const tsResult = parseRFC3339(args.ts);
+  if (!tsResult.valid) {
+    throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --ts: ${tsResult.error}`);
+  }
+}
+
 /**
  * routine add command
  */
@@ -43,8 +118,11 @@ export function routineAdd(db, args) {
     throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --ts: ${tsResult.error}`);
   }
 
+  validateRule(args.rule);
+
   const id = generateRoutineId();
   const tz = args.tz || getSystemTz();
+  validateTimezone(tz);
   const createdAt = args.ts;
 
   const stmt = db.prepare(`
@@ -52,6 +130,7 @@ export function routineAdd(db, args) {
     VALUES (?, ?, ?, ?, ?, NULL)
   `);
   stmt.run(id, args.name, tz, args.rule, createdAt);
+  recordRuleVersion(db, id, args.rule, getDateInTz(createdAt, tz), createdAt);
 
   return {
     routine: {
@@ -88,11 +167,28 @@ export function routineList(db, args) {
   };
 }
 
+/**
+ * Error for a routine that matched but is archived
+ */
+function archivedError(identifier, rows) {
+  return new CLIError(
+    ERR_ROUTINE_ARCHIVED,
+    `routine is archived: ${identifier} (pass --include-archived to use it)`,
+    {
+      routine: identifier,
+      candidates: rows.map(r => ({ id: r.id, name: r.name, archivedAt: r.archivedAt }))
+    }
+  );
+}
+
 /**
  * Find routine by ID or name
+ * Archived routines are refused unless options.includeArchived is set; by name
+ * they are ignored when a non-archived routine matches.
+ * @param {object} options - { includeArchived: boolean }
  * @returns {{ routine: object } | { error: CLIError }}
  */
-export function findRoutine(db, identifier) {
+export function findRoutine(db, identifier, options = {}) {
   // Try by ID first
   if (identifier.startsWith('rtn_')) {
     const stmt = db.prepare(`
@@ -101,6 +197,9 @@ export function findRoutine(db, identifier) {
     `);
     const row = stmt.get(identifier);
     if (row) {
+      if (row.archivedAt && !options.includeArchived) {
+        throw archivedError(identifier, [row]);
+      }
       return { routine: row };
     }
     throw new CLIError(ERR_ROUTINE_NOT_FOUND, `routine not found: ${identifier}`, { id: identifier }, EXIT_NOT_FOUND);
@@ -111,12 +210,17 @@ export function findRoutine(db, identifier) {
     SELECT id, name, tz, rule, created_at as createdAt, archived_at as archivedAt
     FROM routines WHERE name = ?
   `);
-  const rows = stmt.all(identifier);
+  const all = stmt.all(identifier);
 
-  if (rows.length === 0) {
+  if (all.length === 0) {
     throw new CLIError(ERR_ROUTINE_NOT_FOUND, `routine not found: ${identifier}`, { name: identifier }, EXIT_NOT_FOUND);
   }
 
+  const rows = options.includeArchived ? all : all.filter(r => !r.archivedAt);
+  if (rows.length === 0) {
+    throw archivedError(identifier, all);
+  }
+
   if (rows.length > 1) {
     throw new CLIError(
       ERR_AMBIGUOUS_ROUTINE,
@@ -140,7 +244,106 @@ export function routineShow(db, args) {
     throw new CLIError(ERR_INVALID_ARGS, '--routine is required');
   }
 
-  const { routine } = findRoutine(db, args.routine);
+  const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
 
-  return { routine };
+  return {
+    routine: {
+      ...routine,
+      parsedRule: parseRule(routine.rule).ast || null,
+      rules: listRuleVersions(db, routine.id),
+      skips: listSkips(db, routine.id)
+    }
+  };
+}
+
+/**
+ * routine edit command
+ * A new --rule applies from the local date of --ts; earlier days keep the
+ * rule that was in effect then.
+ */
+export function routineEdit(db, args) {
+  if (!args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, '--routine is required');
+  }
+  if (!args.name && !args.rule && !args.tz) {
+    throw new CLIError(ERR_INVALID_ARGS, 'nothing to change: pass --name, --rule or --tz');
+  }
+  requireTs(args);
+  if (args.rule) {
+    validateRule(args.rule);
+  }
+  if (args.tz) {
+    validateTimezone(args.tz);
+  }
+
+  const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
+  const name = args.name || routine.name;
+  const tz = args.tz || routine.tz;
+
+  db.prepare('UPDATE routines SET name = ?, tz = ? WHERE id = ?').run(name, tz, routine.id);
+
+  let rule = routine.rule;
+  let ruleEffectiveDate = null;
+  if (args.rule) {
+    ruleEffectiveDate = getDateInTz(args.ts, tz);
+    rule = recordRuleVersion(db, routine.id, args.rule, ruleEffectiveDate, args.ts);
+  }
+
+  const changed = [];
+  if (name !== routine.name) changed.push('name');
+  if (tz !== routine.tz) changed.push('tz');
+  if (args.rule) changed.push('rule');
+
+  return {
+    routine: { ...routine, name, tz, rule },
+    changed,
+    ruleEffectiveDate
+  };
+}
+
+/**
+ * routine rename command
+ */
+export function routineRename(db, args) {
+  if (!args.name) {
+    throw new CLIError(ERR_INVALID_ARGS, '--name is required');
+  }
+  return routineEdit(db, { ...args, rule: null, tz: null });
+}
+
+/**
+ * Set or clear archived_at on a routine
+ */
+function setArchived(db, args, archive) {
+  if (!args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, '--routine is required');
+  }
+  requireTs(args);
+
+  const { routine } = findRoutine(db, args.routine, { includeArchived: true });
+  if (archive === Boolean(routine.archivedAt)) {
+    throw new CLIError(
+      ERR_INVALID_STATE,
+      archive ? 'routine is already archived' : 'routine is not archived',
+      { routineId: routine.id, archivedAt: routine.archivedAt }
+    );
+  }
+
+  const archivedAt = archive ? args.ts : null;
+  db.prepare('UPDATE routines SET archived_at = ? WHERE id = ?').run(archivedAt, routine.id);
+  return { routine: { ...routine, archivedAt } };
+}
+
+/**
+ * routine archive command
+ */
+export function routineArchive(db, args) {
+  return setArchived(db, args, true);
+}
+
+/**
+ * routine unarchive command
+ */
+export function routineUnarchive(db, args) {
+  return setArchived(db, args, false);
 }
@@ -1,9 +1,10 @@
 /**
- * Session/Timer commands: start, active, status, pause, resume, stop
+ * Session/Timer commands: start, active, status, pause, resume, stop, log, amend, rm, restore
  */
 
 import { generateSessionId, generateEventId, isSessionId } from '../id.js';
 import { parseRFC3339, nowRFC3339, secondsBetween, isBefore, isAfter } from '../time.js';
+import { validateTags } from '../tag.js';
 import { findRoutine } from './routine.js';
 import {
   CLIError,
@@ -18,6 +19,34 @@ import {
   EXIT_NOT_FOUND
 } from '../errors.js';
 
+/**
+ * Pause/resume events of a session in time order
+ * ts keeps the offset it was given with, so events are ordered by the instant
+ * they denote rather than by the stored string; events at the same instant
+ * keep the order they were written in.
+ * @returns {Array<object>} - Raw session_events rows
+ */
+export function sessionEvents(db, sessionId) {
+  return db.prepare('SELECT * FROM session_events WHERE session_id = ? ORDER BY rowid ASC').all(sessionId)
+    .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+}
+
+/**
+ * Clip pauses to [start, end]; open pauses run to end
+ * @returns {Array<{start, end, clippedStart, clippedEnd, seconds}>} - clippedStart/End are null outside
+ */
+function clipPauses(pauses, start, end) {
+  return pauses.map(p => {
+    const pauseEnd = p.end || end;
+    const clippedStart = isAfter(p.start, start) ? p.start : start;
+    const clippedEnd = isBefore(pauseEnd, end) ? pauseEnd : end;
+    if (!isAfter(clippedEnd, clippedStart)) {
+      return { start: p.start, end: p.end, clippedStart: null, clippedEnd: null, seconds: 0 };
+    }
+    return { start: p.start, end: p.end, clippedStart, clippedEnd, seconds: secondsBetween(clippedStart, clippedEnd) };
+  });
+}
+
 /**
  * Build Session object from DB row with computed fields
  */
@@ -27,12 +56,7 @@ function buildSession(db, row, asOf) {
   const routine = routineStmt.get(row.routine_id);
 
   // Get pause events
-  const eventsStmt = db.prepare(`
-    SELECT type, ts FROM session_events 
-    WHERE session_id = ? 
-    ORDER BY ts ASC
-  `);
-  const events = eventsStmt.all(row.id);
+  const events = sessionEvents(db, row.id);
 
   // Build pauses array
   const pauses = [];
@@ -66,18 +90,7 @@ function buildSession(db, row, asOf) {
   // Compute durations
   const effectiveEnd = row.end_ts || asOf;
   const durationSeconds = secondsBetween(row.start_ts, effectiveEnd);
-  
-  // Calculate paused seconds
-  let pausedSeconds = 0;
-  for (const p of pauses) {
-    const pauseEnd = p.end || effectiveEnd;
-    // Clip to [start, asOf]
-    const pStart = isAfter(p.start, row.start_ts) ? p.start : row.start_ts;
-    const pEnd = isBefore(pauseEnd, effectiveEnd) ? pauseEnd : effectiveEnd;
-    if (isAfter(pEnd, pStart)) {
-      pausedSeconds += secondsBetween(pStart, pEnd);
-    }
-  }
+  const pausedSeconds = clipPauses(pauses, row.start_ts, effectiveEnd).reduce((sum, p) => sum + p.seconds, 0);
 
   const activeSeconds = Math.max(0, durationSeconds - pausedSeconds);
 
@@ -103,12 +116,106 @@ function buildSession(db, row, asOf) {
   };
 }
 
+/**
+ * Clip a built session and its pauses to [from, to)
+ * Running sessions are clipped at their computed asOf.
+ * @param {object} session - Session from buildSession
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (exclusive)
+ * @returns {object|null} - Clipped start/end, pauses and totals; null when the session does not overlap
+ */
+function clipSession(session, from, to) {
+  const sessionEnd = new Date(session.end || session.computed.asOf).getTime();
+  const start = Math.max(new Date(session.start).getTime(), from.getTime());
+  const end = Math.min(sessionEnd, to.getTime());
+
+  if (end <= start) {
+    return null;
+  }
+
+  const pauses = session.pauses.map(p => {
+    const pStart = Math.max(new Date(p.start).getTime(), start);
+    const pEnd = Math.min(p.end ? new Date(p.end).getTime() : sessionEnd, end);
+    if (pEnd <= pStart) {
+      return { start: p.start, end: p.end, clippedStart: null, clippedEnd: null, seconds: 0 };
+    }
+    return {
+      start: p.start,
+      end: p.end,
+      clippedStart: new Date(pStart).toISOString(),
+      clippedEnd: new Date(pEnd).toISOString(),
+      seconds: Math.floor((pEnd - pStart) / 1000)
+    };
+  });
+
+  const durationSeconds = Math.floor((end - start) / 1000);
+  const pausedSeconds = pauses.reduce((sum, p) => sum + p.seconds, 0);
+
+  return {
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    pauses,
+    durationSeconds,
+    pausedSeconds,
+    activeSeconds: Math.max(0, durationSeconds - pausedSeconds)
+  };
+}
+
+/**
+ * Clip a built session to [from, to) and compute its contribution
+ * @returns {{durationSeconds: number, pausedSeconds: number, activeSeconds: number}}
+ */
+function sessionContribution(session, from, to) {
+  const clipped = clipSession(session, from, to);
+  if (!clipped) {
+    return { durationSeconds: 0, pausedSeconds: 0, activeSeconds: 0 };
+  }
+  const { durationSeconds, pausedSeconds, activeSeconds } = clipped;
+  return { durationSeconds, pausedSeconds, activeSeconds };
+}
+
+/**
+ * Trace how buildSession derived a session's computed totals
+ * @returns {object} - Interval, each pause as clipped, and the arithmetic
+ */
+function explainSession(session) {
+  const { asOf, durationSeconds, pausedSeconds, activeSeconds } = session.computed;
+  const end = session.end || asOf;
+  const pauses = clipPauses(session.pauses, session.start, end);
+
+  return {
+    sessionId: session.id,
+    interval: { start: session.start, end, endSource: session.end ? 'end' : 'asOf' },
+    pauses,
+    durationSeconds,
+    pausedSeconds,
+    activeSeconds,
+    steps: [
+      session.end ? `ended at ${session.end}` : `${session.status}: end clamped to asOf ${asOf}`,
+      `durationSeconds = ${end} - ${session.start} = ${durationSeconds}`,
+      `pausedSeconds = ${pauses.map(p => p.seconds).join(' + ') || 0} = ${pausedSeconds}`,
+      `activeSeconds = max(0, ${durationSeconds} - ${pausedSeconds}) = ${activeSeconds}`
+    ]
+  };
+}
+
+/**
+ * Attach an explanation of each session's totals when --explain is set
+ */
+function withExplanation(args, result, sessions, asOf) {
+  if (!args.explain) {
+    return result;
+  }
+  return { ...result, explanation: { asOf, sessions: sessions.map(explainSession) } };
+}
+
 /**
  * Get a session by ID
+ * @param {boolean} includeDeleted - Also match soft-deleted sessions
  */
-function getSession(db, sessionId) {
+function getSession(db, sessionId, includeDeleted = false) {
   const stmt = db.prepare(`
-    SELECT * FROM sessions WHERE id = ? AND deleted_at IS NULL
+    SELECT * FROM sessions WHERE id = ? ${includeDeleted ? '' : 'AND deleted_at IS NULL'}
   `);
   return stmt.get(sessionId);
 }
@@ -128,8 +235,9 @@ export function sessionStart(db, args) {
   if (!tsResult.valid) {
     throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --ts: ${tsResult.error}`);
   }
+  validateTags(args.tag);
 
-  const { routine } = findRoutine(db, args.routine);
+  const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
 
   const sessionId = generateSessionId();
   const now = args.ts;
@@ -170,12 +278,9 @@ export function sessionActive(db, args) {
     WHERE end_ts IS NULL AND deleted_at IS NULL
     ORDER BY start_ts ASC, id ASC
   `);
-  const rows = stmt.all();
+  const sessions = stmt.all().map(row => buildSession(db, row, asOf));
 
-  return {
-    asOf,
-    sessions: rows.map(row => buildSession(db, row, asOf))
-  };
+  return withExplanation(args, { asOf, sessions }, sessions, asOf);
 }
 
 /**
@@ -193,26 +298,39 @@ export function sessionStatus(db, args) {
 
   // If specific session requested
   if (args.session) {
-    const row = getSession(db, args.session);
+    const row = getSession(db, args.session, args.includeDeleted);
     if (!row) {
       throw new CLIError(ERR_SESSION_NOT_FOUND, `session not found: ${args.session}`, { sessionId: args.session }, EXIT_NOT_FOUND);
     }
-    return { session: buildSession(db, row, asOf) };
+    const session = buildSession(db, row, asOf);
+    return withExplanation(args, { session }, [session], asOf);
   }
 
+  // With --include-deleted, removed sessions are listed alongside active ones
+  const filter = args.includeDeleted
+    ? '((end_ts IS NULL AND deleted_at IS NULL) OR deleted_at IS NOT NULL)'
+    : 'end_ts IS NULL AND deleted_at IS NULL';
+
   // If specific routine requested
   if (args.routine) {
-    const { routine } = findRoutine(db, args.routine);
+    const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
     const stmt = db.prepare(`
       SELECT * FROM sessions 
-      WHERE routine_id = ? AND end_ts IS NULL AND deleted_at IS NULL
+      WHERE routine_id = ? AND ${filter}
       ORDER BY start_ts ASC, id ASC
     `);
-    const rows = stmt.all(routine.id);
-    return {
-      asOf,
-      sessions: rows.map(row => buildSession(db, row, asOf))
-    };
+    const sessions = stmt.all(routine.id).map(row => buildSession(db, row, asOf));
+    return withExplanation(args, { asOf, sessions }, sessions, asOf);
+  }
+
+  if (args.includeDeleted) {
+    const stmt = db.prepare(`
+      SELECT * FROM sessions
+      WHERE ${filter}
+      ORDER BY start_ts ASC, id ASC
+    `);
+    const sessions = stmt.all().map(row => buildSession(db, row, asOf));
+    return withExplanation(args, { asOf, sessions }, sessions, asOf);
   }
 
   // Default: all active sessions
@@ -260,12 +378,7 @@ export function sessionPause(db, args) {
   }
 
   // Check if already paused
-  const lastEventStmt = db.prepare(`
-    SELECT type FROM session_events 
-    WHERE session_id = ? 
-    ORDER BY ts DESC LIMIT 1
-  `);
-  const lastEvent = lastEventStmt.get(args.session);
+  const lastEvent = sessionEvents(db, args.session).at(-1);
   if (lastEvent && lastEvent.type === 'pause') {
     throw new CLIError(ERR_INVALID_STATE, 'cannot pause a paused session', { sessionId: args.session, status: 'paused' });
   }
@@ -326,12 +439,7 @@ export function sessionResume(db, args) {
   }
 
   // Check if running (not paused)
-  const lastEventStmt = db.prepare(`
-    SELECT type FROM session_events 
-    WHERE session_id = ? 
-    ORDER BY ts DESC LIMIT 1
-  `);
-  const lastEvent = lastEventStmt.get(args.session);
+  const lastEvent = sessionEvents(db, args.session).at(-1);
   if (!lastEvent || lastEvent.type !== 'pause') {
     throw new CLIError(ERR_INVALID_STATE, 'cannot resume a running session', { sessionId: args.session, status: 'running' });
   }
@@ -381,6 +489,7 @@ export function sessionStop(db, args) {
   if (!tsResult.valid) {
     throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --ts: ${tsResult.error}`);
   }
+  validateTags(args.tag);
 
   const row = getSession(db, args.session);
   if (!row) {
@@ -397,12 +506,7 @@ export function sessionStop(db, args) {
   }
 
   // If paused, close the pause with stop time
-  const lastEventStmt = db.prepare(`
-    SELECT type FROM session_events 
-    WHERE session_id = ? 
-    ORDER BY ts DESC LIMIT 1
-  `);
-  const lastEvent = lastEventStmt.get(args.session);
+  const lastEvent = sessionEvents(db, args.session).at(-1);
   if (lastEvent && lastEvent.type === 'pause') {
     // Add a resume event at stop time to close the pause
     const eventId = generateEventId();
@@ -431,4 +535,280 @@ export function sessionStop(db, args) {
   return { session: buildSession(db, updatedRow, args.ts) };
 }
 
-export { buildSession };
+/**
+ * Validate an RFC3339 argument, naming the flag in the error
+ */
+function requireRFC3339(value, flag) {
+  const result = parseRFC3339(value);
+  if (!result.valid) {
+    throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid ${flag}: ${result.error}`);
+  }
+  return result.date;
+}
+
+/**
+ * Parse --pause <start>/<end> ranges and check them against the session bounds
+ * @returns {Array<{start: string, end: string}>} - Pauses sorted by start
+ */
+function parsePauseRanges(values, start, end) {
+  const pauses = values.map(value => {
+    const parts = value.split('/');
+    if (parts.length !== 2) {
+      throw new CLIError(ERR_INVALID_ARGS, `invalid --pause: ${value} (use <start>/<end>)`, { pause: value });
+    }
+    requireRFC3339(parts[0], '--pause start');
+    requireRFC3339(parts[1], '--pause end');
+    if (!isAfter(parts[1], parts[0])) {
+      throw new CLIError(ERR_END_BEFORE_START, 'pause end must be after pause start', { start: parts[0], end: parts[1] });
+    }
+    if (isBefore(parts[0], start) || isAfter(parts[1], end)) {
+      throw new CLIError(ERR_INVALID_ARGS, 'pause must fall within the session', {
+        pause: { start: parts[0], end: parts[1] },
+        session: { start, end }
+      });
+    }
+    return { start: parts[0], end: parts[1] };
+  });
+
+  pauses.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+  for (let i = 1; i < pauses.length; i++) {
+    if (!isAfter(pauses[i].start, pauses[i - 1].end)) {
+      throw new CLIError(ERR_INVALID_ARGS, 'pauses must not overlap', { pauses: [pauses[i - 1], pauses[i]] });
+    }
+  }
+
+  return pauses;
+}
+
+/**
+ * Find sessions of a routine that overlap [start, end]
+ */
+function findOverlappingSessions(db, routineId, start, end) {
+  const stmt = db.prepare(`
+    SELECT id, start_ts, end_ts FROM sessions
+    WHERE routine_id = ? AND deleted_at IS NULL
+    ORDER BY start_ts ASC, id ASC
+  `);
+  return stmt.all(routineId)
+    .filter(s => isBefore(s.start_ts, end) && (!s.end_ts || isAfter(s.end_ts, start)))
+    .map(s => ({ id: s.id, start: s.start_ts, end: s.end_ts }));
+}
+
+/**
+ * routine log command - backfill a completed session
+ */
+export function sessionLog(db, args) {
+  if (!args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, '--routine is required');
+  }
+  if (!args.start) {
+    throw new CLIError(ERR_INVALID_ARGS, '--start is required');
+  }
+  if (!args.end) {
+    throw new CLIError(ERR_INVALID_ARGS, '--end is required');
+  }
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+
+  requireRFC3339(args.ts, '--ts');
+  requireRFC3339(args.start, '--start');
+  requireRFC3339(args.end, '--end');
+  validateTags(args.tag);
+
+  if (isBefore(args.end, args.start)) {
+    throw new CLIError(ERR_END_BEFORE_START, 'end time cannot be before start time', { start: args.start, end: args.end });
+  }
+
+  const pauses = parsePauseRanges(args.pause, args.start, args.end);
+  const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
+
+  // Overlaps are reported, not rejected: multi-active sessions are allowed
+  const overlaps = findOverlappingSessions(db, routine.id, args.start, args.end);
+
+  const sessionId = generateSessionId();
+  const stmt = db.prepare(`
+    INSERT INTO sessions (id, routine_id, start_ts, end_ts, note, created_at, updated_at, deleted_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, NULL)
+  `);
+  stmt.run(sessionId, routine.id, args.start, args.end, args.note || null, args.ts, args.ts);
+
+  const eventStmt = db.prepare(`
+    INSERT INTO session_events (id, session_id, type, ts, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  for (const p of pauses) {
+    eventStmt.run(generateEventId(), sessionId, 'pause', p.start, args.ts);
+    eventStmt.run(generateEventId(), sessionId, 'resume', p.end, args.ts);
+  }
+
+  if (args.tag && args.tag.length > 0) {
+    const tagStmt = db.prepare('INSERT OR IGNORE INTO session_tags (session_id, tag) VALUES (?, ?)');
+    for (const tag of args.tag) {
+      tagStmt.run(sessionId, tag);
+    }
+  }
+
+  const row = getSession(db, sessionId);
+  return {
+    session: buildSession(db, row, args.end),
+    overlaps
+  };
+}
+
+/**
+ * routine amend command - edit times, note, tags or routine of a session
+ */
+export function sessionAmend(db, args) {
+  if (!args.session) {
+    throw new CLIError(ERR_SESSION_REQUIRED, '--session is required');
+  }
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+
+  requireRFC3339(args.ts, '--ts');
+  if (args.start) {
+    requireRFC3339(args.start, '--start');
+  }
+  if (args.end) {
+    requireRFC3339(args.end, '--end');
+  }
+  validateTags(args.tag);
+
+  const hasChanges = args.start || args.end || args.note !== null || args.routine ||
+    args.tag.length > 0 || args.untag.length > 0;
+  if (!hasChanges) {
+    throw new CLIError(ERR_INVALID_ARGS, 'nothing to amend (use --start, --end, --note, --tag, --untag or --routine)');
+  }
+
+  const row = getSession(db, args.session);
+  if (!row) {
+    throw new CLIError(ERR_SESSION_NOT_FOUND, `session not found: ${args.session}`, { sessionId: args.session }, EXIT_NOT_FOUND);
+  }
+
+  if (args.end && !row.end_ts) {
+    throw new CLIError(ERR_INVALID_STATE, 'cannot amend the end of an active session (use stop)', { sessionId: args.session, endTs: null });
+  }
+
+  const start = args.start || row.start_ts;
+  const end = args.end || row.end_ts;
+  if (end && isBefore(end, start)) {
+    throw new CLIError(ERR_END_BEFORE_START, 'end time cannot be before start time', { start, end });
+  }
+
+  const events = sessionEvents(db, args.session);
+
+  // stop closes an open pause with a resume at the stop time; that resume follows the end
+  const lastEvent = events[events.length - 1];
+  const closingResume = args.end && lastEvent && lastEvent.type === 'resume' && lastEvent.ts === row.end_ts
+    ? lastEvent
+    : null;
+
+  const outOfRange = events
+    .filter(e => e !== closingResume)
+    .filter(e => isBefore(e.ts, start) || (end && isAfter(e.ts, end)));
+  if (outOfRange.length > 0) {
+    throw new CLIError(ERR_END_BEFORE_START, 'session must start before and end after its pause/resume events', {
+      start,
+      end,
+      events: outOfRange.map(e => ({ id: e.id, type: e.type, ts: e.ts }))
+    });
+  }
+
+  let routineId = row.routine_id;
+  if (args.routine) {
+    routineId = findRoutine(db, args.routine, { includeArchived: args.includeArchived }).routine.id;
+  }
+
+  const note = args.note !== null ? (args.note || null) : row.note;
+
+  const updateStmt = db.prepare(`
+    UPDATE sessions SET routine_id = ?, start_ts = ?, end_ts = ?, note = ?, updated_at = ? WHERE id = ?
+  `);
+  updateStmt.run(routineId, start, end, note, args.ts, args.session);
+
+  if (closingResume) {
+    const eventStmt = db.prepare('UPDATE session_events SET ts = ? WHERE id = ?');
+    eventStmt.run(end, closingResume.id);
+  }
+
+  if (args.tag.length > 0) {
+    const tagStmt = db.prepare('INSERT OR IGNORE INTO session_tags (session_id, tag) VALUES (?, ?)');
+    for (const tag of args.tag) {
+      tagStmt.run(args.session, tag);
+    }
+  }
+  if (args.untag.length > 0) {
+    const untagStmt = db.prepare('DELETE FROM session_tags WHERE session_id = ? AND tag = ?');
+    for (const tag of args.untag) {
+      untagStmt.run(args.session, tag);
+    }
+  }
+
+  const updatedRow = getSession(db, args.session);
+  return { session: buildSession(db, updatedRow, args.ts) };
+}
+
+/**
+ * routine rm command - soft delete a session
+ */
+export function sessionRm(db, args) {
+  if (!args.session) {
+    throw new CLIError(ERR_SESSION_REQUIRED, '--session is required');
+  }
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+
+  requireRFC3339(args.ts, '--ts');
+
+  const row = getSession(db, args.session);
+  if (!row) {
+    throw new CLIError(ERR_SESSION_NOT_FOUND, `session not found: ${args.session}`, { sessionId: args.session }, EXIT_NOT_FOUND);
+  }
+
+  if (!row.end_ts && !args.force) {
+    throw new CLIError(ERR_INVALID_STATE, 'cannot remove an active session without --force', {
+      sessionId: args.session,
+      status: buildSession(db, row, args.ts).status
+    });
+  }
+
+  const stmt = db.prepare('UPDATE sessions SET deleted_at = ?, updated_at = ? WHERE id = ?');
+  stmt.run(args.ts, args.ts, args.session);
+
+  const updatedRow = getSession(db, args.session, true);
+  return { session: buildSession(db, updatedRow, args.ts) };
+}
+
+/**
+ * routine restore command - undo a soft delete
+ */
+export function sessionRestore(db, args) {
+  if (!args.session) {
+    throw new CLIError(ERR_SESSION_REQUIRED, '--session is required');
+  }
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+
+  requireRFC3339(args.ts, '--ts');
+
+  const row = getSession(db, args.session, true);
+  if (!row) {
+    throw new CLIError(ERR_SESSION_NOT_FOUND, `session not found: ${args.session}`, { sessionId: args.session }, EXIT_NOT_FOUND);
+  }
+
+  if (!row.deleted_at) {
+    throw new CLIError(ERR_INVALID_STATE, 'session is not deleted', { sessionId: args.session, deletedAt: null });
+  }
+
+  const stmt = db.prepare('UPDATE sessions SET deleted_at = NULL, updated_at = ? WHERE id = ?');
+  stmt.run(args.ts, args.session);
+
+  const updatedRow = getSession(db, args.session);
+  return { session: buildSession(db, updatedRow, args.ts) };
+}
+
+export { buildSession, sessionContribution, clipSession };
@@ -0,0 +1,157 @@
+/**
+ * Skip commands: skip, unskip
+ */
+
+import { generateSkipId } from '../id.js';
+import { parseRFC3339, isValidDate, addDays } from '../time.js';
+import { findRoutine } from './routine.js';
+import {
+  CLIError,
+  ERR_INVALID_ARGS,
+  ERR_TS_REQUIRED,
+  ERR_INVALID_TIME_FORMAT,
+  ERR_END_BEFORE_START,
+  ERR_ALREADY_EXISTS,
+  ERR_SKIP_NOT_FOUND,
+  EXIT_AMBIGUITY,
+  EXIT_NOT_FOUND
+} from '../errors.js';
+
+/**
+ * Longest --start/--end range accepted in one command
+ */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Resolve --date or --start/--end into a list of dates
+ * @returns {{start: string, end: string, dates: string[]}}
+ */
+function resolveDateRange(args) {
+  if (args.date && (args.start || args.end)) {
+    throw new CLIError(ERR_INVALID_ARGS, 'use either --date or --start/--end, not both');
+  }
+
+  const start = args.date || args.start;
+  const end = args.date || args.end;
+  if (!start || !end) {
+    throw new CLIError(ERR_INVALID_ARGS, '--date or both --start and --end are required');
+  }
+
+  for (const [flag, value] of [['--start', start], ['--end', end]]) {
+    if (!isValidDate(value)) {
+      throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid ${args.date ? '--date' : flag} format (use YYYY-MM-DD)`);
+    }
+  }
+
+  if (end < start) {
+    throw new CLIError(ERR_END_BEFORE_START, 'end date cannot be before start date', { start, end });
+  }
+
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    dates.push(date);
+    if (dates.length > MAX_RANGE_DAYS) {
+      throw new CLIError(ERR_INVALID_ARGS, `date range cannot exceed ${MAX_RANGE_DAYS} days`, { start, end });
+    }
+  }
+
+  return { start, end, dates };
+}
+
+/**
+ * Validate --ts for skip/unskip
+ */
+function requireTs(args) {
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+  const tsResult = parseRFC3339(args.ts);
+  if (!tsResult.valid) {
+    throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --ts: ${tsResult.error}`);
+  }
+}
+
+/**
+ * List skips of a routine, optionally limited to a date range
+ */
+export function listSkips(db, routineId, start = '0000-01-01', end = '9999-12-31') {
+  const stmt = db.prepare(`
+    SELECT id, date, reason, created_at as createdAt
+    FROM skips
+    WHERE routine_id = ? AND date BETWEEN ? AND ?
+    ORDER BY date ASC
+  `);
+  return stmt.all(routineId, start, end);
+}
+
+/**
+ * routine skip command
+ */
+export function routineSkip(db, args) {
+  if (!args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, '--routine is required');
+  }
+  if (!args.reason) {
+    throw new CLIError(ERR_INVALID_ARGS, '--reason is required');
+  }
+  requireTs(args);
+
+  const { start, end, dates } = resolveDateRange(args);
+  const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
+
+  const conflicts = listSkips(db, routine.id, start, end);
+  if (conflicts.length > 0) {
+    throw new CLIError(
+      ERR_ALREADY_EXISTS,
+      `${conflicts.length} date(s) already skipped`,
+      { routineId: routine.id, conflicts },
+      EXIT_AMBIGUITY
+    );
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO skips (id, routine_id, date, reason, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  for (const date of dates) {
+    stmt.run(generateSkipId(), routine.id, date, args.reason, args.ts);
+  }
+
+  return {
+    routineId: routine.id,
+    routineName: routine.name,
+    skips: listSkips(db, routine.id, start, end)
+  };
+}
+
+/**
+ * routine unskip command
+ */
+export function routineUnskip(db, args) {
+  if (!args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, '--routine is required');
+  }
+  requireTs(args);
+
+  const { start, end } = resolveDateRange(args);
+  const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
+
+  const removed = listSkips(db, routine.id, start, end);
+  if (removed.length === 0) {
+    throw new CLIError(
+      ERR_SKIP_NOT_FOUND,
+      start === end ? `no skip on ${start}` : `no skips between ${start} and ${end}`,
+      { routineId: routine.id, start, end },
+      EXIT_NOT_FOUND
+    );
+  }
+
+  const stmt = db.prepare('DELETE FROM skips WHERE routine_id = ? AND date BETWEEN ? AND ?');
+  stmt.run(routine.id, start, end);
+
+  return {
+    routineId: routine.id,
+    routineName: routine.name,
+    removed
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Streak command: streak
+ */
+
+import { parseRFC3339, nowRFC3339, getDateInTz } from '../time.js';
+import { WEEKDAYS } from '../rule.js';
+import { windowHistory } from '../period.js';
+import { findRoutine, validateRule } from './routine.js';
+import {
+  CLIError,
+  ERR_INVALID_ARGS,
+  ERR_INVALID_TIME_FORMAT
+} from '../errors.js';
+
+/**
+ * Per-day view of evaluated windows, up to the as-of date
+ * Each day has its own active time and the status of the window it falls in,
+ * or skipped when the day itself is excused.
+ */
+function daysOf(db, routine, windows, asOf) {
+  const skipStmt = db.prepare('SELECT date FROM skips WHERE routine_id = ?');
+  const skipped = new Set(skipStmt.all(routine.id).map(s => s.date));
+  const lastDate = getDateInTz(asOf, routine.tz);
+
+  return windows.flatMap(window => window.days
+    .filter(day => day.date <= lastDate)
+    .map(day => ({
+      date: day.date,
+      activeSeconds: day.activeSeconds,
+      status: skipped.has(day.date) ? 'skipped' : window.status
+    })));
+}
+
+/**
+ * routine streak command
+ * Counts consecutive met windows (days, weeks or months, per the routine's rule).
+ */
+export function routineStreak(db, args) {
+  if (!args.routine) {
+    throw new CLIError(ERR_INVALID_ARGS, '--routine is required');
+  }
+  if (!WEEKDAYS.includes(args.weekStart)) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --week-start: ${args.weekStart} (use ${WEEKDAYS.join(', ')})`);
+  }
+
+  const asOf = args.asOf || nowRFC3339();
+  if (args.asOf) {
+    const tsResult = parseRFC3339(args.asOf);
+    if (!tsResult.valid) {
+      throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --as-of: ${tsResult.error}`);
+    }
+  }
+
+  const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
+  const rule = validateRule(routine.rule);
+
+  const evaluated = windowHistory(db, routine, asOf, args.weekStart);
+  const windows = evaluated.map(w => ({
+    start: w.start,
+    end: w.end,
+    rule: w.rule,
+    activeSeconds: w.totals.activeSeconds,
+    sessionsCount: w.totals.sessionsCount,
+    status: w.status
+  }));
+
+  // Skipped, rest and pending windows keep a streak alive without adding to it
+  let longest = 0;
+  let run = 0;
+  for (const window of windows) {
+    if (window.status === 'met') {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (window.status === 'missed') {
+      run = 0;
+    }
+  }
+
+  let current = 0;
+  for (let i = windows.length - 1; i >= 0; i--) {
+    if (windows[i].status === 'missed') break;
+    if (windows[i].status === 'met') current++;
+  }
+
+  return {
+    routineId: routine.id,
+    routineName: routine.name,
+    tz: routine.tz,
+    rule: routine.rule,
+    asOf,
+    parsedRule: rule,
+    targetSeconds: rule.target.unit === 'seconds' ? rule.target.value : null,
+    current,
+    longest,
+    windows,
+    days: daysOf(db, routine, evaluated, asOf)
+  };
+}
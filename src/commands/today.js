@@ -2,8 +2,18 @@
  * Daily summary command: today
  */
 
-import { parseRFC3339, nowRFC3339, isValidDate, getDateInTz, secondsBetween, isBefore, isAfter } from '../time.js';
+import { parseRFC3339, nowRFC3339, isValidDate, getDateInTz, getDayBoundaries, addDays, isAfter } from '../time.js';
+import { WEEKDAYS } from '../rule.js';
+import {
+  evaluateWindow,
+  countedUntil,
+  startsWithin,
+  explainBoundaries,
+  explainContribution,
+  explainWindow
+} from '../period.js';
 import { findRoutine } from './routine.js';
+import { buildSession, clipSession } from './session.js';
 import {
   CLIError,
   ERR_INVALID_ARGS,
@@ -25,70 +35,70 @@ function getCurrentDate(tz) {
 }
 
 /**
- * Get day boundaries as RFC3339 strings
+ * Clip a session to a local day and return its contribution
+ * The clipped interval also stops at asOf, so open sessions only count elapsed time.
+ * countsAsSession says whether it adds to sessionsCount, as in goals and report.
+ * @returns {object|null} - null when the session does not overlap the day
  */
-function getDayBoundariesRFC3339(date, tz) {
-  // Parse date
-  const [year, month, day] = date.split('-').map(Number);
-  
-  // Create date strings at 00:00 and 23:59:59.999
-  // We need to figure out the UTC offset for the timezone on this date
-  const testDate = new Date(`${date}T12:00:00Z`);
-  const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: tz,
-    hour: 'numeric',
-    hour12: false
-  });
-  
-  // Calculate offset by comparing UTC and local
-  const utcHour = testDate.getUTCHours();
-  const localParts = formatter.formatToParts(testDate);
-  const localHour = parseInt(localParts.find(p => p.type === 'hour')?.value || '12', 10);
-  
-  // This is approximate - for production use a proper library
-  // For now, we'll just use ISO strings and filter by date in tz
-  
-  // Start of day in UTC (approximate)
-  const dayStart = new Date(`${date}T00:00:00Z`);
-  // Adjust for timezone - this is simplified
-  const offset = new Date().toLocaleString('en-US', { timeZone: tz, timeZoneName: 'longOffset' });
-  
+function dayContribution(session, boundaries, asOf) {
+  const clipped = clipSession(session, boundaries.start, countedUntil(boundaries, asOf));
+  if (!clipped) {
+    return null;
+  }
+  const { start, end, durationSeconds, pausedSeconds, activeSeconds } = clipped;
   return {
-    startDate: date,
-    // We'll filter sessions by their date in the timezone
+    start,
+    end,
+    durationSeconds,
+    pausedSeconds,
+    activeSeconds,
+    countsAsSession: startsWithin(session, boundaries, asOf)
   };
 }
 
 /**
- * Calculate session contribution to a specific day
- * Handles sessions that cross midnight
+ * Number of sessions that count toward sessionsCount
  */
-function sessionDayContribution(session, date, tz) {
-  const sessionStart = new Date(session.start);
-  const sessionEnd = session.end ? new Date(session.end) : new Date();
-  
-  // Get date boundaries (00:00:00 to 23:59:59.999 in tz)
-  const dayStartStr = `${date}T00:00:00`;
-  const dayEndStr = `${date}T23:59:59.999`;
-  
-  // Create dates in the target timezone
-  // This is simplified - just check if session overlaps with the date
-  const sessionStartDate = getDateInTz(session.start, tz);
-  const sessionEndDate = session.end ? getDateInTz(session.end, tz) : getDateInTz(new Date().toISOString(), tz);
-  
-  // If session doesn't overlap with this date, return 0
-  if (sessionStartDate > date && sessionEndDate > date) return 0;
-  if (sessionStartDate < date && sessionEndDate < date) return 0;
-  
-  // Calculate contribution
-  // For simplicity in MVP, we'll use total session time if it overlaps
-  // TODO: Implement proper day bucket splitting for sessions crossing midnight
-  
-  return {
-    durationSeconds: session.computed.durationSeconds,
-    pausedSeconds: session.computed.pausedSeconds,
-    activeSeconds: session.computed.activeSeconds
-  };
+function countSessions(sessions) {
+  return sessions.filter(s => s.contribution.countsAsSession).length;
+}
+
+/**
+ * Per-routine totals and goal progress for the summary date
+ * Goals are evaluated in each routine's own timezone.
+ */
+function routineBreakdown(db, routines, sessions, date, asOf, weekStart) {
+  return routines.map(routine => {
+    const own = sessions.filter(s => s.routineId === routine.id);
+    const totals = {
+      durationSeconds: own.reduce((sum, s) => sum + s.contribution.durationSeconds, 0),
+      activeSeconds: own.reduce((sum, s) => sum + s.contribution.activeSeconds, 0),
+      pausedSeconds: own.reduce((sum, s) => sum + s.contribution.pausedSeconds, 0),
+      sessionsCount: countSessions(own)
+    };
+
+    // The goal covers the window (day, week or month) containing the date,
+    // under the rule version in effect for that window; none for rules that do not parse
+    const window = evaluateWindow(db, routine, date, asOf, weekStart);
+    const goal = window && {
+      rule: window.rule,
+      window: { start: window.start, end: window.end },
+      unit: window.unit,
+      comparator: window.comparator,
+      target: window.target,
+      achieved: window.achieved,
+      remaining: window.remaining,
+      status: window.status
+    };
+
+    return {
+      routineId: routine.id,
+      routineName: routine.name,
+      tz: routine.tz,
+      totals,
+      goal
+    };
+  });
 }
 
 /**
@@ -98,14 +108,35 @@ export function todaySummary(db, args) {
   // Determine timezone
   let tz = args.tz || getSystemTz();
   let routineFilter = null;
+  let routines;
 
   // If routine specified, use its timezone
   if (args.routine) {
-    const { routine } = findRoutine(db, args.routine);
+    const { routine } = findRoutine(db, args.routine, { includeArchived: args.includeArchived });
     routineFilter = routine.id;
+    routines = [routine];
     if (!args.tz) {
       tz = routine.tz;
     }
+  } else {
+    const routinesStmt = db.prepare(`
+      SELECT id, name, tz, rule, created_at as createdAt, archived_at as archivedAt
+      FROM routines
+      WHERE archived_at IS NULL
+      ORDER BY name ASC, id ASC
+    `);
+    routines = routinesStmt.all();
+  }
+
+  if (!WEEKDAYS.includes(args.weekStart)) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --week-start: ${args.weekStart} (use ${WEEKDAYS.join(', ')})`);
+  }
+
+  if (args.asOf) {
+    const tsResult = parseRFC3339(args.asOf);
+    if (!tsResult.valid) {
+      throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --as-of: ${tsResult.error}`);
+    }
   }
 
   // Determine date
@@ -116,7 +147,7 @@ export function todaySummary(db, args) {
 
   // Query sessions
   let query = `
-    SELECT s.*, r.name as routine_name, r.tz as routine_tz
+    SELECT s.*, r.tz as routine_tz
     FROM sessions s
     JOIN routines r ON r.id = s.routine_id
     WHERE s.deleted_at IS NULL
@@ -128,115 +159,76 @@ export function todaySummary(db, args) {
     params.push(routineFilter);
   }
 
-  // Filter by date overlap (simplified: sessions where start or end is on this date)
-  // This is a simplified approach - proper implementation would check tz-aware date ranges
+  // SQLite's date() works in UTC, so widen by a day on each side and clip exactly below
   query += ` AND (
     date(s.start_ts) <= ? AND (s.end_ts IS NULL OR date(s.end_ts) >= ?)
   )`;
-  params.push(date, date);
+  params.push(addDays(date, 1), addDays(date, -1));
 
   query += ' ORDER BY s.start_ts ASC, s.id ASC';
 
   const stmt = db.prepare(query);
   const rows = stmt.all(...params);
 
-  // Build sessions with computed fields
+  // Clip each session to the local day (--tz, else the routine's tz)
   const asOf = args.asOf || nowRFC3339();
   const sessions = [];
   let totalDuration = 0;
   let totalActive = 0;
   let totalPaused = 0;
 
+  const traces = [];
+
   for (const row of rows) {
-    // Get pause events
-    const eventsStmt = db.prepare(`
-      SELECT type, ts FROM session_events 
-      WHERE session_id = ? 
-      ORDER BY ts ASC
-    `);
-    const events = eventsStmt.all(row.id);
-
-    // Build pauses array
-    const pauses = [];
-    let currentPause = null;
-    for (const evt of events) {
-      if (evt.type === 'pause') {
-        currentPause = { start: evt.ts, end: null };
-      } else if (evt.type === 'resume' && currentPause) {
-        currentPause.end = evt.ts;
-        pauses.push(currentPause);
-        currentPause = null;
-      }
-    }
-    if (currentPause) {
-      pauses.push(currentPause);
+    if (isAfter(row.start_ts, asOf)) {
+      continue;
     }
 
-    // Determine status
-    let status = 'running';
-    if (row.end_ts) {
-      status = 'stopped';
-    } else if (currentPause && !currentPause.end) {
-      status = 'paused';
+    const session = buildSession(db, row, asOf);
+    const dayTz = args.tz || row.routine_tz;
+    const contribution = dayContribution(session, getDayBoundaries(date, dayTz), asOf);
+    if (!contribution) {
+      continue;
     }
-
-    // Get tags
-    const tagsStmt = db.prepare('SELECT tag FROM session_tags WHERE session_id = ? ORDER BY tag ASC');
-    const tags = tagsStmt.all(row.id).map(t => t.tag);
-
-    // Compute durations
-    const effectiveEnd = row.end_ts || asOf;
-    const durationSeconds = secondsBetween(row.start_ts, effectiveEnd);
-    
-    let pausedSeconds = 0;
-    for (const p of pauses) {
-      const pauseEnd = p.end || effectiveEnd;
-      const pStart = isAfter(p.start, row.start_ts) ? p.start : row.start_ts;
-      const pEnd = isBefore(pauseEnd, effectiveEnd) ? pauseEnd : effectiveEnd;
-      if (isAfter(pEnd, pStart)) {
-        pausedSeconds += secondsBetween(pStart, pEnd);
-      }
+    if (args.explain) {
+      traces.push({ tz: dayTz, ...explainContribution(session, getDayBoundaries(date, dayTz), asOf) });
     }
 
-    const activeSeconds = Math.max(0, durationSeconds - pausedSeconds);
-
-    const session = {
-      id: row.id,
-      routineId: row.routine_id,
-      routineName: row.routine_name,
-      start: row.start_ts,
-      end: row.end_ts,
-      status,
-      pauses,
-      computed: {
-        asOf,
-        durationSeconds,
-        pausedSeconds,
-        activeSeconds
-      },
-      note: row.note,
-      tags,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    };
-
-    sessions.push(session);
-    totalDuration += durationSeconds;
-    totalActive += activeSeconds;
-    totalPaused += pausedSeconds;
+    sessions.push({ ...session, contribution });
+    totalDuration += contribution.durationSeconds;
+    totalActive += contribution.activeSeconds;
+    totalPaused += contribution.pausedSeconds;
   }
 
-  return {
+  const result = {
     date,
     tz,
+    asOf,
     routineId: routineFilter || undefined,
-    routineName: routineFilter ? sessions[0]?.routineName : undefined,
+    routineName: routineFilter ? routines[0].name : undefined,
+    routines: routineBreakdown(db, routines, sessions, date, asOf, args.weekStart),
     sessions,
     totals: {
       durationSeconds: totalDuration,
       activeSeconds: totalActive,
       pausedSeconds: totalPaused,
-      sessionsCount: sessions.length
+      sessionsCount: countSessions(sessions)
     }
   };
+
+  if (args.explain) {
+    // Each session is clipped to the day in --tz, else its routine's tz
+    const dayTzs = [...new Set(traces.map(t => t.tz).concat(args.tz ? [args.tz] : []))];
+    result.explanation = {
+      asOf,
+      days: dayTzs.map(dayTz => explainBoundaries({ start: date, end: date }, dayTz, asOf)),
+      sessions: traces,
+      goals: routines.flatMap(routine => {
+        const evaluated = evaluateWindow(db, routine, date, asOf, args.weekStart);
+        return evaluated ? [explainWindow(db, routine, evaluated, asOf)] : [];
+      })
+    };
+  }
+
+  return result;
 }
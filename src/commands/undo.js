@@ -0,0 +1,159 @@
+/**
+ * Undo command: undo
+ */
+
+import { parseRFC3339 } from '../time.js';
+import {
+  AUDIT_SELECT,
+  auditEntry,
+  appendAudit,
+  snapshot,
+  restoreSnapshot
+} from '../audit.js';
+import { forgetKeys } from '../idempotency.js';
+import {
+  CLIError,
+  ERR_INVALID_STATE,
+  ERR_TS_REQUIRED,
+  ERR_INVALID_TIME_FORMAT,
+  ERR_AUDIT_NOT_FOUND,
+  ERR_UNDO_CONFLICT,
+  EXIT_NOT_FOUND,
+  EXIT_AMBIGUITY
+} from '../errors.js';
+
+/**
+ * Find the entry to undo: --id, else the latest mutation not yet undone
+ */
+function findTarget(db, args) {
+  if (args.id) {
+    const row = db.prepare(`${AUDIT_SELECT} WHERE a.id = ?`).get(args.id);
+    if (!row) {
+      throw new CLIError(ERR_AUDIT_NOT_FOUND, `audit entry not found: ${args.id}`, { id: args.id }, EXIT_NOT_FOUND);
+    }
+    return auditEntry(row);
+  }
+
+  const row = db.prepare(`
+    ${AUDIT_SELECT}
+    WHERE a.command != 'undo' AND u.id IS NULL
+    ORDER BY a.seq DESC LIMIT 1
+  `).get();
+  if (!row) {
+    throw new CLIError(ERR_AUDIT_NOT_FOUND, 'nothing to undo', {}, EXIT_NOT_FOUND);
+  }
+  return auditEntry(row);
+}
+
+/**
+ * Whether an amend moved a session into or out of a routine
+ */
+function movesSession(entry, routineId) {
+  const from = entry.before && entry.before.session.routine_id;
+  const to = entry.after && entry.after.session.routine_id;
+  return from !== to && (from === routineId || to === routineId);
+}
+
+/**
+ * Later mutations, not undone, that build on an entry's entity
+ * A routine's snapshot holds its rules and skips, not its sessions, so for a
+ * routine only changes to the routine itself and sessions moved into or out
+ * of it count; sessions logged or stopped on it meanwhile do not.
+ */
+function findDependents(db, entry) {
+  const rows = db.prepare(`
+    ${AUDIT_SELECT}
+    WHERE a.seq > ? AND a.command != 'undo' AND u.id IS NULL
+      AND (a.entity_id = ? OR (? = 'routine' AND a.command = 'amend'))
+    ORDER BY a.seq ASC
+  `).all(entry.seq, entry.entityId, entry.entityType);
+  return rows
+    .map(auditEntry)
+    .filter(e => e.entityId === entry.entityId || movesSession(e, entry.entityId))
+    .map(e => ({ id: e.id, command: e.command, entityType: e.entityType, entityId: e.entityId, ts: e.ts }));
+}
+
+/**
+ * routine undo command
+ * Restores the entity changed by an audit entry to its snapshot from before
+ * that change. Refused when later changes depend on it. Idempotency keys
+ * that stored the change's result are dropped with it.
+ */
+export function routineUndo(db, args) {
+  if (!args.ts) {
+    throw new CLIError(ERR_TS_REQUIRED, '--ts is required for state-changing commands');
+  }
+  const tsResult = parseRFC3339(args.ts);
+  if (!tsResult.valid) {
+    throw new CLIError(ERR_INVALID_TIME_FORMAT, `invalid --ts: ${tsResult.error}`);
+  }
+
+  const entry = findTarget(db, args);
+  if (entry.command === 'undo') {
+    throw new CLIError(ERR_INVALID_STATE, 'an undo cannot be undone', { id: entry.id });
+  }
+  if (entry.undoneBy) {
+    throw new CLIError(ERR_INVALID_STATE, 'audit entry is already undone', { id: entry.id, undoneBy: entry.undoneBy });
+  }
+
+  const dependents = findDependents(db, entry);
+  if (dependents.length > 0) {
+    throw new CLIError(
+      ERR_UNDO_CONFLICT,
+      `cannot undo ${entry.command} ${entry.id}: later changes depend on it`,
+      { id: entry.id, dependents },
+      EXIT_AMBIGUITY
+    );
+  }
+
+  // Guard against changes made outside the audit log (e.g. imports)
+  const current = snapshot(db, entry.entityType, entry.entityId);
+  if (JSON.stringify(current) !== JSON.stringify(entry.after)) {
+    throw new CLIError(
+      ERR_UNDO_CONFLICT,
+      `cannot undo ${entry.command} ${entry.id}: ${entry.entityType} changed since`,
+      { id: entry.id, entityType: entry.entityType, entityId: entry.entityId },
+      EXIT_AMBIGUITY
+    );
+  }
+  if (entry.entityType === 'routine' && !entry.before) {
+    const sessions = db.prepare('SELECT COUNT(*) as n FROM sessions WHERE routine_id = ?').get(entry.entityId);
+    if (sessions.n > 0) {
+      throw new CLIError(
+        ERR_UNDO_CONFLICT,
+        `cannot undo ${entry.command} ${entry.id}: the routine has sessions`,
+        { id: entry.id, sessionsCount: sessions.n },
+        EXIT_AMBIGUITY
+      );
+    }
+  }
+
+  restoreSnapshot(db, entry.entityType, entry.entityId, entry.before);
+  const forgottenKeys = forgetKeys(db, entry.id);
+  const auditId = appendAudit(db, {
+    command: 'undo',
+    args: { id: entry.id, ts: args.ts },
+    ts: args.ts,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    routineId: entry.routineId,
+    before: current,
+    after: entry.before,
+    undoes: entry.id
+  });
+
+  return {
+    auditId,
+    undone: {
+      id: entry.id,
+      command: entry.command,
+      args: entry.args,
+      ts: entry.ts
+    },
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    before: current,
+    after: entry.before,
+    forgottenKeys
+  };
+}
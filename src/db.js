@@ -1,222 +1,185 @@
 /**
  * Database layer for routine-cli
- * SQLite schema per MVP_SPEC.md Section 9
- * Uses sql.js (pure JavaScript SQLite)
+ * Schema and migrations live in migrations.js; the SQLite engine is a
+ * storage driver from drivers/ (sql.js, node:sqlite or better-sqlite3).
  */
 
-import initSqlJs from 'sql.js';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
+import { acquireLock, releaseLock } from './lock.js';
+import { runMigrations } from './migrations.js';
+import { resolveDriver } from './drivers/index.js';
 
-const SCHEMA_VERSION = 1;
-
-const SCHEMA = `
--- routines table
-CREATE TABLE IF NOT EXISTS routines (
-  id TEXT PRIMARY KEY,
-  name TEXT NOT NULL,
-  tz TEXT NOT NULL,
-  rule TEXT NOT NULL,
-  created_at TEXT NOT NULL,
-  archived_at TEXT NULL
-);
-
-CREATE INDEX IF NOT EXISTS idx_routines_name ON routines(name);
-
--- sessions table
-CREATE TABLE IF NOT EXISTS sessions (
-  id TEXT PRIMARY KEY,
-  routine_id TEXT NOT NULL REFERENCES routines(id),
-  start_ts TEXT NOT NULL,
-  end_ts TEXT NULL,
-  note TEXT NULL,
-  created_at TEXT NOT NULL,
-  updated_at TEXT NOT NULL,
-  deleted_at TEXT NULL,
-  source_provider TEXT NULL,
-  source_key TEXT NULL
-);
-
-CREATE INDEX IF NOT EXISTS idx_sessions_routine_start ON sessions(routine_id, start_ts);
-
--- session_events table (pause/resume)
-CREATE TABLE IF NOT EXISTS session_events (
-  id TEXT PRIMARY KEY,
-  session_id TEXT NOT NULL REFERENCES sessions(id),
-  type TEXT NOT NULL,
-  ts TEXT NOT NULL,
-  created_at TEXT NOT NULL
-);
-
-CREATE INDEX IF NOT EXISTS idx_session_events_session_ts ON session_events(session_id, ts);
-
--- session_tags table
-CREATE TABLE IF NOT EXISTS session_tags (
-  session_id TEXT NOT NULL REFERENCES sessions(id),
-  tag TEXT NOT NULL,
-  PRIMARY KEY (session_id, tag)
-);
-
--- skips table
-CREATE TABLE IF NOT EXISTS skips (
-  id TEXT PRIMARY KEY,
-  routine_id TEXT NOT NULL REFERENCES routines(id),
-  date TEXT NOT NULL,
-  reason TEXT NOT NULL,
-  created_at TEXT NOT NULL,
-  UNIQUE(routine_id, date)
-);
-
--- schema version
-CREATE TABLE IF NOT EXISTS schema_info (
-  key TEXT PRIMARY KEY,
-  value TEXT NOT NULL
-);
-`;
-
-let _SQL = null;
 let _db = null;
 let _dbPath = null;
 
-/**
- * Initialize SQL.js
- */
-async function initSQL() {
-  if (!_SQL) {
-    _SQL = await initSqlJs();
-  }
-  return _SQL;
-}
-
 /**
  * Database wrapper with better-sqlite3-like API
+ * Writes outside a transaction are persisted immediately; inside
+ * transaction() they are persisted once, on commit.
  */
 class DatabaseWrapper {
-  constructor(sqlDb, dbPath) {
-    this.sqlDb = sqlDb;
+  constructor(conn, dbPath, lockPath = null, driver = null) {
+    this.conn = conn;
     this.dbPath = dbPath;
+    this.lockPath = lockPath;
+    this.driver = driver;
+    this.migrations = null;
+    this.exists = true;
+    this._depth = 0;
   }
 
   prepare(sql) {
-    return new StatementWrapper(this.sqlDb, sql, this.dbPath);
+    return new StatementWrapper(this, sql);
   }
 
   exec(sql) {
-    this.sqlDb.run(sql);
-    this._save();
+    this.conn.exec(sql);
+    this._afterWrite();
   }
 
   pragma(sql) {
-    // sql.js doesn't support all pragmas, ignore for now
+    this.conn.pragma(sql);
+  }
+
+  /**
+   * Run fn inside BEGIN/COMMIT and persist the result once
+   * Nested calls join the outermost transaction. If fn throws, every
+   * change made inside the transaction is rolled back and the error rethrown.
+   * @param {Function} fn - Receives no arguments; its return value is passed through
+   */
+  transaction(fn) {
+    if (this._depth > 0) {
+      this._depth++;
+      try {
+        return fn();
+      } finally {
+        this._depth--;
+      }
+    }
+
+    this.conn.exec('BEGIN');
+    this._depth = 1;
+    try {
+      const result = fn();
+      this.conn.exec('COMMIT');
+      this._depth = 0;
+      this.conn.persist();
+      return result;
+    } catch (err) {
+      this._depth = 0;
+      try {
+        this.conn.exec('ROLLBACK');
+      } catch {
+        // SQLite already rolled back (e.g. after a failed COMMIT)
+      }
+      this.conn.discard();
+      throw err;
+    }
   }
 
-  close() {
-    this._save();
-    this.sqlDb.close();
+  /**
+   * Write a consistent copy of the database to path
+   */
+  backup(path) {
+    this.conn.backup(path);
   }
 
-  _save() {
-    if (this.dbPath) {
-      const data = this.sqlDb.export();
-      const buffer = Buffer.from(data);
-      const dir = dirname(this.dbPath);
-      if (dir && dir !== '.' && !existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
+  close() {
+    try {
+      this.conn.close();
+    } finally {
+      if (this.lockPath) {
+        releaseLock(this.lockPath);
       }
-      writeFileSync(this.dbPath, buffer);
+    }
+  }
+
+  _afterWrite() {
+    if (this._depth === 0) {
+      this.conn.persist();
     }
   }
 }
 
 /**
- * Statement wrapper with better-sqlite3-like API
+ * Statement wrapper that persists writes made outside a transaction
  */
 class StatementWrapper {
-  constructor(sqlDb, sql, dbPath) {
-    this.sqlDb = sqlDb;
-    this.sql = sql;
-    this.dbPath = dbPath;
+  constructor(db, sql) {
+    this.db = db;
+    this.stmt = db.conn.prepare(sql);
   }
 
   run(...params) {
-    this.sqlDb.run(this.sql, params);
-    this._save();
-    return { changes: this.sqlDb.getRowsModified() };
+    const result = this.stmt.run(...params);
+    this.db._afterWrite();
+    return result;
   }
 
   get(...params) {
-    const stmt = this.sqlDb.prepare(this.sql);
-    stmt.bind(params);
-    if (stmt.step()) {
-      const row = stmt.getAsObject();
-      stmt.free();
-      return row;
-    }
-    stmt.free();
-    return undefined;
+    return this.stmt.get(...params);
   }
 
   all(...params) {
-    const results = [];
-    const stmt = this.sqlDb.prepare(this.sql);
-    stmt.bind(params);
-    while (stmt.step()) {
-      results.push(stmt.getAsObject());
-    }
-    stmt.free();
-    return results;
-  }
-
-  _save() {
-    if (this.dbPath) {
-      const data = this.sqlDb.export();
-      const buffer = Buffer.from(data);
-      const dir = dirname(this.dbPath);
-      if (dir && dir !== '.' && !existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
-      }
-      writeFileSync(this.dbPath, buffer);
-    }
+    return this.stmt.all(...params);
   }
 }
 
 /**
  * Initialize and return database connection
+ * The file's lock is taken before it is read and held until close().
+ * Pending migrations are applied unless options.migrate is false; the
+ * result is kept on db.migrations. With options.create false a missing file
+ * is not created: an empty in-memory database stands in and db.exists is false.
  * @param {string} dbPath - Path to SQLite database
+ * @param {object} options - { lockTimeout: ms to wait for another process, migrate: boolean,
+ *   create: boolean, driver: 'auto' or a driver name }
  * @returns {Promise<DatabaseWrapper>}
  */
-export async function initDb(dbPath) {
-  const SQL = await initSQL();
-  
+export async function initDb(dbPath, options = {}) {
+  const driver = await resolveDriver(options.driver);
+
+  if (options.create === false && !existsSync(dbPath)) {
+    // Inspecting a database that isn't there must not create it (nor a lock beside it)
+    const db = new DatabaseWrapper(await driver.open(':memory:'), dbPath, null, driver.name);
+    db.exists = false;
+    return db;
+  }
+
   // Ensure directory exists
   const dir = dirname(dbPath);
   if (dir && dir !== '.' && !existsSync(dir)) {
     mkdirSync(dir, { recursive: true });
   }
 
-  let sqlDb;
-  if (existsSync(dbPath)) {
-    const buffer = readFileSync(dbPath);
-    sqlDb = new SQL.Database(buffer);
-  } else {
-    sqlDb = new SQL.Database();
+  const lockPath = await acquireLock(dbPath, options.lockTimeout);
+
+  let db;
+  try {
+    const conn = await driver.open(dbPath);
+    db = new DatabaseWrapper(conn, dbPath, lockPath, driver.name);
+
+    if (options.migrate !== false) {
+      db.migrations = runMigrations(db, dbPath);
+    }
+  } catch (err) {
+    if (db) {
+      db.conn.close();
+    }
+    releaseLock(lockPath);
+    throw err;
   }
   
-  const db = new DatabaseWrapper(sqlDb, dbPath);
-  
-  // Initialize schema
-  db.exec(SCHEMA);
-  db.exec(`INSERT OR REPLACE INTO schema_info (key, value) VALUES ('version', '${SCHEMA_VERSION}')`);
-  
   return db;
 }
 
 /**
  * Get database instance (singleton pattern for CLI)
  */
-export async function getDb(dbPath) {
+export async function getDb(dbPath, options = {}) {
   if (!_db || _dbPath !== dbPath) {
-    _db = await initDb(dbPath);
+    _db = await initDb(dbPath, options);
     _dbPath = dbPath;
   }
   return _db;
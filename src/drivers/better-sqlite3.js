@@ -0,0 +1,37 @@
+/**
+ * better-sqlite3 storage driver (used when the optional package is installed)
+ */
+
+import { NativeConnection } from './native.js';
+
+export const name = 'better-sqlite3';
+
+/**
+ * Load better-sqlite3, or null when it is not installed or its native addon
+ * cannot be loaded (missing, or built for another Node.js ABI). The addon is
+ * only loaded when a database is opened, so an in-memory one is opened here.
+ * @param {Function} [importModule] - Imports the package
+ */
+async function load(importModule = () => import('better-sqlite3')) {
+  try {
+    const Database = (await importModule()).default;
+    new Database(':memory:').close();
+    return Database;
+  } catch {
+    return null;
+  }
+}
+
+export async function isAvailable(importModule) {
+  return (await load(importModule)) !== null;
+}
+
+/**
+ * Open the database file directly
+ * @param {string} dbPath - Path to SQLite database
+ * @returns {Promise<NativeConnection>}
+ */
+export async function open(dbPath) {
+  const Database = await load();
+  return new NativeConnection(new Database(dbPath));
+}
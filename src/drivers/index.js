@@ -0,0 +1,61 @@
+/**
+ * Storage driver selection
+ * A driver exports name, isAvailable() and open(dbPath), which returns a
+ * connection with prepare/exec/pragma/persist/discard/backup/close.
+ * open(':memory:') gives an empty database that never touches the disk.
+ */
+
+import * as betterSqlite3 from './better-sqlite3.js';
+import * as nodeSqlite from './node-sqlite.js';
+import * as sqljs from './sqljs.js';
+import {
+  CLIError,
+  ERR_INVALID_ARGS,
+  ERR_DRIVER_UNAVAILABLE
+} from '../errors.js';
+
+/**
+ * Drivers in order of preference for --db-driver auto
+ */
+export const DRIVERS = [betterSqlite3, nodeSqlite, sqljs];
+
+export const DRIVER_NAMES = DRIVERS.map(d => d.name);
+
+export const DEFAULT_DRIVER = 'auto';
+
+/**
+ * Names of the drivers that can be loaded in this environment
+ */
+export async function availableDrivers() {
+  const names = [];
+  for (const driver of DRIVERS) {
+    if (await driver.isAvailable()) {
+      names.push(driver.name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Resolve a --db-driver value to a driver module
+ * auto picks the first available driver; sql.js is always available.
+ * @param {Array<object>} [drivers] - Drivers in order of preference
+ */
+export async function resolveDriver(name = DEFAULT_DRIVER, drivers = DRIVERS) {
+  if (name === 'auto') {
+    for (const driver of drivers) {
+      if (await driver.isAvailable()) {
+        return driver;
+      }
+    }
+  }
+
+  const driver = drivers.find(d => d.name === name);
+  if (!driver) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --db-driver: ${name} (use auto, ${DRIVER_NAMES.join(', ')})`);
+  }
+  if (!(await driver.isAvailable())) {
+    throw new CLIError(ERR_DRIVER_UNAVAILABLE, `storage driver not available: ${name}`, { driver: name });
+  }
+  return driver;
+}
@@ -0,0 +1,63 @@
+/**
+ * Shared connection for native SQLite drivers (node:sqlite, better-sqlite3)
+ * Both write straight to the file, so persist() has nothing to do; the
+ * database runs in WAL mode and SQLite's journal makes commits crash-safe.
+ */
+
+import { existsSync, rmSync } from 'fs';
+
+/**
+ * Native drivers reject undefined; sql.js binds it as NULL
+ */
+function bindable(params) {
+  return params.map(p => (p === undefined ? null : p));
+}
+
+/**
+ * Connection over a native database handle
+ */
+export class NativeConnection {
+  /**
+   * @param {object} handle - DatabaseSync (node:sqlite) or Database (better-sqlite3)
+   */
+  constructor(handle) {
+    this.handle = handle;
+    this.pragma('journal_mode = WAL');
+    this.pragma('busy_timeout = 5000');
+  }
+
+  prepare(sql) {
+    const stmt = this.handle.prepare(sql);
+    return {
+      run: (...params) => ({ changes: Number(stmt.run(...bindable(params)).changes) }),
+      get: (...params) => stmt.get(...bindable(params)),
+      all: (...params) => stmt.all(...bindable(params))
+    };
+  }
+
+  exec(sql) {
+    this.handle.exec(sql);
+  }
+
+  pragma(sql) {
+    this.handle.exec(`PRAGMA ${sql}`);
+  }
+
+  persist() {}
+
+  discard() {}
+
+  /**
+   * Write a consistent copy of the database (only call outside a transaction)
+   */
+  backup(path) {
+    if (existsSync(path)) {
+      rmSync(path);
+    }
+    this.handle.prepare('VACUUM INTO ?').run(path);
+  }
+
+  close() {
+    this.handle.close();
+  }
+}
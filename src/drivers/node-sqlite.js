@@ -0,0 +1,32 @@
+/**
+ * node:sqlite storage driver (built into Node.js 22.5+)
+ */
+
+import { NativeConnection } from './native.js';
+
+export const name = 'node-sqlite';
+
+/**
+ * Load node:sqlite, or null on Node.js versions without it
+ */
+async function load() {
+  try {
+    return await import('node:sqlite');
+  } catch {
+    return null;
+  }
+}
+
+export async function isAvailable() {
+  return (await load()) !== null;
+}
+
+/**
+ * Open the database file directly
+ * @param {string} dbPath - Path to SQLite database
+ * @returns {Promise<NativeConnection>}
+ */
+export async function open(dbPath) {
+  const { DatabaseSync } = await load();
+  return new NativeConnection(new DatabaseSync(dbPath));
+}
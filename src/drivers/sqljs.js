@@ -0,0 +1,163 @@
+/**
+ * sql.js storage driver (pure JavaScript SQLite, always available)
+ * The whole database lives in memory; persist() writes it back to the file
+ * when anything changed.
+ */
+
+import initSqlJs from 'sql.js';
+import { closeSync, copyFileSync, existsSync, fsyncSync, mkdirSync, openSync, readFileSync, renameSync, writeSync } from 'fs';
+import { dirname } from 'path';
+
+export const name = 'sqljs';
+
+let _SQL = null;
+
+/**
+ * Initialize SQL.js
+ */
+async function initSQL() {
+  if (!_SQL) {
+    _SQL = await initSqlJs();
+  }
+  return _SQL;
+}
+
+/**
+ * sql.js is bundled, so it is always available
+ */
+export async function isAvailable() {
+  return true;
+}
+
+/**
+ * Connection with better-sqlite3-like API over an in-memory sql.js database
+ */
+class SqlJsConnection {
+  constructor(sqlDb, dbPath) {
+    this.sqlDb = sqlDb;
+    this.dbPath = dbPath;
+    this._savedChanges = 0;
+  }
+
+  prepare(sql) {
+    return new SqlJsStatement(this.sqlDb, sql);
+  }
+
+  exec(sql) {
+    this.sqlDb.run(sql);
+  }
+
+  pragma(_sql) {
+    // sql.js doesn't support all pragmas, ignore for now
+  }
+
+  /**
+   * Write the database file if anything changed since the last save
+   * The data goes to a temp file that is fsynced and renamed over the
+   * original, so a crash never leaves a half-written database.
+   */
+  persist() {
+    if (!this.dbPath) {
+      return;
+    }
+    const changes = this._totalChanges();
+    if (changes === this._savedChanges && existsSync(this.dbPath)) {
+      return;
+    }
+
+    const data = this.sqlDb.export();
+    const buffer = Buffer.from(data);
+    const dir = dirname(this.dbPath);
+    if (dir && dir !== '.' && !existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${this.dbPath}.tmp-${process.pid}`;
+    const fd = openSync(tmpPath, 'w');
+    try {
+      writeSync(fd, buffer);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmpPath, this.dbPath);
+    // export() reopens the sql.js connection, which resets total_changes()
+    this._savedChanges = this._totalChanges();
+  }
+
+  /**
+   * Forget changes rolled back since the last save
+   */
+  discard() {
+    this._savedChanges = this._totalChanges();
+  }
+
+  /**
+   * Copy the saved database file (only call outside a transaction)
+   */
+  backup(path) {
+    this.persist();
+    copyFileSync(this.dbPath, path);
+  }
+
+  close() {
+    this.persist();
+    this.sqlDb.close();
+  }
+
+  _totalChanges() {
+    return this.sqlDb.exec('SELECT total_changes()')[0].values[0][0];
+  }
+}
+
+/**
+ * Statement with better-sqlite3-like API
+ */
+class SqlJsStatement {
+  constructor(sqlDb, sql) {
+    this.sqlDb = sqlDb;
+    this.sql = sql;
+  }
+
+  run(...params) {
+    this.sqlDb.run(this.sql, params);
+    return { changes: this.sqlDb.getRowsModified() };
+  }
+
+  get(...params) {
+    const stmt = this.sqlDb.prepare(this.sql);
+    stmt.bind(params);
+    if (stmt.step()) {
+      const row = stmt.getAsObject();
+      stmt.free();
+      return row;
+    }
+    stmt.free();
+    return undefined;
+  }
+
+  all(...params) {
+    const results = [];
+    const stmt = this.sqlDb.prepare(this.sql);
+    stmt.bind(params);
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+}
+
+/**
+ * Load the database file into memory (or start an empty database)
+ * ':memory:' opens a database that is never written to a file.
+ * @param {string} dbPath - Path to SQLite database
+ * @returns {Promise<SqlJsConnection>}
+ */
+export async function open(dbPath) {
+  const SQL = await initSQL();
+  if (dbPath === ':memory:') {
+    return new SqlJsConnection(new SQL.Database(), null);
+  }
+  const sqlDb = existsSync(dbPath) ? new SQL.Database(readFileSync(dbPath)) : new SQL.Database();
+  return new SqlJsConnection(sqlDb, dbPath);
+}
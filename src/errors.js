@@ -10,6 +10,7 @@ export const EXIT_USER_INPUT_ERROR = 2;
 export const EXIT_NOT_FOUND = 3;
 export const EXIT_AMBIGUITY = 4;
 export const EXIT_NOT_IMPLEMENTED = 5;
+export const EXIT_DB_LOCKED = 6;
 
 // Error codes
 export const ERR_INVALID_ARGS = 'ERR_INVALID_ARGS';
@@ -17,12 +18,21 @@ export const ERR_TS_REQUIRED = 'ERR_TS_REQUIRED';
 export const ERR_INVALID_TIME_FORMAT = 'ERR_INVALID_TIME_FORMAT';
 export const ERR_ROUTINE_NOT_FOUND = 'ERR_ROUTINE_NOT_FOUND';
 export const ERR_AMBIGUOUS_ROUTINE = 'ERR_AMBIGUOUS_ROUTINE';
+export const ERR_ROUTINE_ARCHIVED = 'ERR_ROUTINE_ARCHIVED';
 export const ERR_SESSION_NOT_FOUND = 'ERR_SESSION_NOT_FOUND';
 export const ERR_SESSION_REQUIRED = 'ERR_SESSION_REQUIRED';
 export const ERR_SESSION_NOT_ACTIVE = 'ERR_SESSION_NOT_ACTIVE';
 export const ERR_INVALID_STATE = 'ERR_INVALID_STATE';
 export const ERR_END_BEFORE_START = 'ERR_END_BEFORE_START';
 export const ERR_ALREADY_EXISTS = 'ERR_ALREADY_EXISTS';
+export const ERR_IDEMPOTENCY_CONFLICT = 'ERR_IDEMPOTENCY_CONFLICT';
+export const ERR_AUDIT_NOT_FOUND = 'ERR_AUDIT_NOT_FOUND';
+export const ERR_UNDO_CONFLICT = 'ERR_UNDO_CONFLICT';
+export const ERR_SKIP_NOT_FOUND = 'ERR_SKIP_NOT_FOUND';
+export const ERR_INVALID_RULE = 'ERR_INVALID_RULE';
+export const ERR_DB_LOCKED = 'ERR_DB_LOCKED';
+export const ERR_SCHEMA_TOO_NEW = 'ERR_SCHEMA_TOO_NEW';
+export const ERR_DRIVER_UNAVAILABLE = 'ERR_DRIVER_UNAVAILABLE';
 export const ERR_NOT_IMPLEMENTED = 'ERR_NOT_IMPLEMENTED';
 
 /**
@@ -71,11 +81,20 @@ export function getExitCode(errorCode) {
   switch (errorCode) {
     case ERR_ROUTINE_NOT_FOUND:
     case ERR_SESSION_NOT_FOUND:
+    case ERR_SKIP_NOT_FOUND:
+    case ERR_AUDIT_NOT_FOUND:
       return EXIT_NOT_FOUND;
     case ERR_AMBIGUOUS_ROUTINE:
+    case ERR_ALREADY_EXISTS:
+    case ERR_IDEMPOTENCY_CONFLICT:
+    case ERR_UNDO_CONFLICT:
       return EXIT_AMBIGUITY;
     case ERR_NOT_IMPLEMENTED:
       return EXIT_NOT_IMPLEMENTED;
+    case ERR_DB_LOCKED:
+      return EXIT_DB_LOCKED;
+    case ERR_SCHEMA_TOO_NEW:
+      return EXIT_GENERIC_FAILURE;
     default:
       return EXIT_USER_INPUT_ERROR;
   }
@@ -0,0 +1,190 @@
+/**
+ * Output formats for routine-cli: --format validation and csv, tsv and ndjson rows
+ * List-shaped commands map their result to flat rows with a fixed column set.
+ */
+
+import { CLIError, ERR_INVALID_ARGS } from './errors.js';
+
+export const FORMATS = ['human', 'json', 'csv', 'tsv', 'ndjson'];
+export const TABULAR_FORMATS = ['csv', 'tsv', 'ndjson'];
+
+/** Formats only export writes, and the only ones it accepts */
+export const EXPORT_FORMATS = ['ics'];
+
+/** Formats whose stdout holds nothing but data; errors go to stderr */
+export const RAW_FORMATS = [...TABULAR_FORMATS, ...EXPORT_FORMATS];
+
+const ROUTINE_COLUMNS = ['id', 'name', 'tz', 'rule', 'createdAt', 'archivedAt'];
+
+const SESSION_COLUMNS = [
+  'id', 'routineId', 'routineName', 'start', 'end', 'status', 'asOf',
+  'durationSeconds', 'pausedSeconds', 'activeSeconds', 'pausesCount', 'tags', 'note', 'deletedAt'
+];
+
+const TODAY_COLUMNS = [
+  'date', 'routineId', 'routineName', 'tz',
+  'durationSeconds', 'pausedSeconds', 'activeSeconds', 'sessionsCount',
+  'goalRule', 'goalWindowStart', 'goalWindowEnd', 'goalUnit', 'goalComparator',
+  'goalTarget', 'goalAchieved', 'goalRemaining', 'goalStatus'
+];
+
+const REPORT_COLUMNS = [
+  'routineId', 'routineName', 'tz', 'start', 'end',
+  'durationSeconds', 'pausedSeconds', 'activeSeconds', 'sessionsCount'
+];
+
+/**
+ * Flatten a session, lifting its computed totals to the top level
+ */
+function sessionRow(session) {
+  return {
+    id: session.id,
+    routineId: session.routineId,
+    routineName: session.routineName,
+    start: session.start,
+    end: session.end,
+    status: session.status,
+    asOf: session.computed.asOf,
+    durationSeconds: session.computed.durationSeconds,
+    pausedSeconds: session.computed.pausedSeconds,
+    activeSeconds: session.computed.activeSeconds,
+    pausesCount: session.pauses.length,
+    tags: session.tags,
+    note: session.note,
+    deletedAt: session.deletedAt
+  };
+}
+
+/**
+ * Rows of a status result: one session, or a list
+ */
+function sessionRows(data) {
+  return (data.session ? [data.session] : data.sessions).map(sessionRow);
+}
+
+/**
+ * One row per routine of a today summary, with its goal flattened
+ * (goal columns are empty for a routine without a rule that parses)
+ */
+function todayRows(data) {
+  return data.routines.map(r => {
+    const goal = r.goal || { window: {} };
+    return {
+      date: data.date,
+      routineId: r.routineId,
+      routineName: r.routineName,
+      tz: r.tz,
+      ...r.totals,
+      goalRule: goal.rule,
+      goalWindowStart: goal.window.start,
+      goalWindowEnd: goal.window.end,
+      goalUnit: goal.unit,
+      goalComparator: goal.comparator,
+      goalTarget: goal.target,
+      goalAchieved: goal.achieved,
+      goalRemaining: goal.remaining,
+      goalStatus: goal.status
+    };
+  });
+}
+
+/**
+ * One row per routine and bucket of a report
+ */
+function reportRows(data) {
+  return data.routines.flatMap(r => r.buckets.map(b => ({
+    routineId: r.routineId,
+    routineName: r.routineName,
+    tz: r.tz,
+    start: b.start,
+    end: b.end,
+    ...b.totals
+  })));
+}
+
+/** Column set and row mapping for each command with tabular output */
+export const TABLES = {
+  list: { columns: ROUTINE_COLUMNS, rows: data => data.routines },
+  active: { columns: SESSION_COLUMNS, rows: sessionRows },
+  status: { columns: SESSION_COLUMNS, rows: sessionRows },
+  today: { columns: TODAY_COLUMNS, rows: todayRows },
+  report: { columns: REPORT_COLUMNS, rows: reportRows }
+};
+
+/**
+ * Fail early on an unknown --format, or a tabular one for a command without rows
+ * Runs before the command so a mutation is never applied and then unprintable.
+ */
+export function validateFormat(format, command) {
+  if (command === 'export') {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new CLIError(ERR_INVALID_ARGS, `export requires --format ${EXPORT_FORMATS.join(' or ')}`, { format });
+    }
+    return;
+  }
+  if (command === 'batch') {
+    // batch writes one envelope per line whatever --format says; only the default and ndjson fit that
+    if (format !== 'human' && format !== 'ndjson') {
+      throw new CLIError(ERR_INVALID_ARGS, 'batch always writes ndjson envelopes', { format });
+    }
+    return;
+  }
+  if (EXPORT_FORMATS.includes(format)) {
+    throw new CLIError(ERR_INVALID_ARGS, `--format ${format} is only supported by export`, { format, command });
+  }
+  if (!FORMATS.includes(format)) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --format: ${format} (use ${FORMATS.join(', ')})`);
+  }
+  if (TABULAR_FORMATS.includes(format) && !Object.hasOwn(TABLES, command)) {
+    throw new CLIError(
+      ERR_INVALID_ARGS,
+      `--format ${format} is only supported by ${Object.keys(TABLES).join(', ')}`,
+      { format, command }
+    );
+  }
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break (RFC 4180)
+ */
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape a TSV field: backslash, tab and line breaks become \\, \t, \n and \r
+ */
+function tsvField(text) {
+  return text.replace(/[\\\t\n\r]/g, c => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[c]);
+}
+
+/**
+ * Render a cell value as text: null is empty and tags are joined with ';'
+ */
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(';') : String(value);
+}
+
+/**
+ * Render a command result as csv, tsv or ndjson
+ * csv and tsv start with a header row; ndjson writes one object per row.
+ * @returns {string} - Newline-terminated, empty for ndjson without rows
+ */
+export function formatTable(format, command, data) {
+  const { columns, rows } = TABLES[command];
+  const records = rows(data).map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? null])));
+
+  if (format === 'ndjson') {
+    return records.map(record => `${JSON.stringify(record)}\n`).join('');
+  }
+
+  const [field, separator] = format === 'csv' ? [csvField, ','] : [tsvField, '\t'];
+  const lines = [columns.join(separator)];
+  for (const record of records) {
+    lines.push(columns.map(c => field(cellText(record[c]))).join(separator));
+  }
+  return `${lines.join('\n')}\n`;
+}
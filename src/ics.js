@@ -0,0 +1,109 @@
+/**
+ * iCalendar (RFC 5545) rendering for session exports
+ * Output depends only on stored data, so re-exporting the same sessions
+ * yields the same bytes and calendar clients update events by UID.
+ */
+
+import { formatDuration } from './time.js';
+
+const CRLF = '\r\n';
+const UID_DOMAIN = 'routine-cli';
+
+/**
+ * Format an RFC3339 timestamp as an iCalendar UTC date-time (20260131T090000Z)
+ */
+export function icsDateTime(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and newlines
+ */
+export function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, continuing with CRLF and a space
+ * Splits never land inside a multi-byte UTF-8 character.
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines spend one octet on the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * Describe a session: its note, active time and each pause
+ */
+function describeSession(session) {
+  const lines = [];
+  if (session.note) {
+    lines.push(session.note, '');
+  }
+  lines.push(`Active: ${formatDuration(session.computed.activeSeconds)}`);
+  for (const pause of session.pauses) {
+    lines.push(`Paused: ${pause.start} - ${pause.end || session.end}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render one built session as VEVENT lines
+ * DTSTAMP and LAST-MODIFIED are the session's updated_at so unchanged sessions
+ * stay byte-identical; SEQUENCE is its revision count, so clients that compare
+ * it take a changed session as newer.
+ */
+function sessionEvent(session) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${session.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${icsDateTime(session.updatedAt)}`,
+    `LAST-MODIFIED:${icsDateTime(session.updatedAt)}`,
+    `SEQUENCE:${session.sequence}`,
+    `DTSTART:${icsDateTime(session.start)}`,
+    `DTEND:${icsDateTime(session.end)}`,
+    `SUMMARY:${escapeText(session.routineName)}`
+  ];
+  if (session.tags.length > 0) {
+    lines.push(`CATEGORIES:${session.tags.map(escapeText).join(',')}`);
+  }
+  lines.push(`DESCRIPTION:${escapeText(describeSession(session))}`, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * Render stopped sessions as a VCALENDAR document
+ * @param {Array<object>} sessions - Built sessions with their revision count as sequence, in the order to write them
+ * @returns {string} - CRLF-terminated iCalendar text
+ */
+export function renderCalendar(sessions) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//routine-cli//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...sessions.flatMap(sessionEvent),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
@@ -37,6 +37,22 @@ export function generateSkipId() {
   return `skp_${ulid()}`;
 }
 
+/**
+ * Generate rule version ID
+ * @returns {string} - rul_<ULID>
+ */
+export function generateRuleId() {
+  return `rul_${ulid()}`;
+}
+
+/**
+ * Generate audit log entry ID
+ * @returns {string} - aud_<ULID>
+ */
+export function generateAuditId() {
+  return `aud_${ulid()}`;
+}
+
 /**
  * Check if string is a valid routine ID
  * @param {string} id 
@@ -0,0 +1,111 @@
+/**
+ * Idempotency keys for state-changing commands
+ * The first run of a key stores its result; replays with the same arguments
+ * return that result without touching the database again.
+ */
+
+import { createHash } from 'crypto';
+import {
+  CLIError,
+  ERR_INVALID_ARGS,
+  ERR_IDEMPOTENCY_CONFLICT,
+  EXIT_AMBIGUITY
+} from './errors.js';
+
+/**
+ * Commands that accept --idempotency-key
+ */
+export const IDEMPOTENT_COMMANDS = ['add', 'start', 'pause', 'resume', 'stop'];
+
+/**
+ * Options that select where or how output is produced, not what the command does
+ */
+const NON_SEMANTIC_ARGS = new Set(['format', 'db', 'dbDriver', 'lockTimeout', 'noInteractive', 'quiet', 'idempotencyKey']);
+
+/**
+ * Options that only shape read output, never what a mutation does
+ */
+const READ_ONLY_ARGS = new Set(['command', 'subcommand', 'asOf', 'granularity', 'weekStart', 'explain', 'includeDeleted']);
+
+/**
+ * Arguments that affect what a command does and were actually given, keys sorted
+ * Unset options (null, false, empty lists) are left out, so a new CLI option
+ * does not change the arguments of commands that never pass it.
+ */
+export function givenArgs(args) {
+  const given = {};
+  for (const key of Object.keys(args).sort()) {
+    const value = args[key];
+    if (NON_SEMANTIC_ARGS.has(key) || READ_ONLY_ARGS.has(key)) {
+      continue;
+    }
+    if (value === null || value === false || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+    given[key] = value;
+  }
+  return given;
+}
+
+/**
+ * Hash the arguments a command was given (the command itself is compared separately)
+ */
+export function fingerprint(args) {
+  return createHash('sha256').update(JSON.stringify(Object.entries(givenArgs(args)))).digest('hex');
+}
+
+/**
+ * Run a command under args.idempotencyKey (or plainly when there is none)
+ * Call inside the command's transaction so the result and its key commit together.
+ * @param {Function} fn - Runs the command and returns { result, auditId } (see recordMutation)
+ * @returns {{result: object, replayed: boolean}}
+ */
+export function runIdempotent(db, args, fn) {
+  if (!args.idempotencyKey) {
+    return { result: fn().result, replayed: false };
+  }
+  if (!IDEMPOTENT_COMMANDS.includes(args.command)) {
+    throw new CLIError(
+      ERR_INVALID_ARGS,
+      `--idempotency-key is not supported for ${args.command} (use it with ${IDEMPOTENT_COMMANDS.join(', ')})`
+    );
+  }
+
+  const hash = fingerprint(args);
+  const existing = db.prepare(`
+    SELECT command, request_hash as requestHash, result, created_at as createdAt
+    FROM idempotency_keys WHERE key = ?
+  `).get(args.idempotencyKey);
+
+  if (existing) {
+    if (existing.command !== args.command || existing.requestHash !== hash) {
+      throw new CLIError(
+        ERR_IDEMPOTENCY_CONFLICT,
+        `idempotency key already used with different arguments: ${args.idempotencyKey}`,
+        { key: args.idempotencyKey, command: existing.command, createdAt: existing.createdAt },
+        EXIT_AMBIGUITY
+      );
+    }
+    return { result: JSON.parse(existing.result), replayed: true };
+  }
+
+  const { result, auditId } = fn();
+  db.prepare(`
+    INSERT INTO idempotency_keys (key, command, request_hash, result, created_at, audit_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(args.idempotencyKey, args.command, hash, JSON.stringify(result), args.ts, auditId);
+  return { result, replayed: false };
+}
+
+/**
+ * Drop the keys whose stored result came from an audit entry
+ * Used when that change is undone, so a retry runs again instead of
+ * replaying a result that no longer exists.
+ * @returns {string[]} - The dropped keys
+ */
+export function forgetKeys(db, auditId) {
+  const keys = db.prepare('SELECT key FROM idempotency_keys WHERE audit_id = ? ORDER BY key ASC').all(auditId)
+    .map(row => row.key);
+  db.prepare('DELETE FROM idempotency_keys WHERE audit_id = ?').run(auditId);
+  return keys;
+}
@@ -0,0 +1,110 @@
+/**
+ * CSV importer
+ * Columns (header names, any order): routine, start, end (RFC3339), and
+ * optionally note, tags (';'-separated) and key. routineName and id are
+ * accepted for routine and key, so `--format csv` output of status imports back.
+ * Rows without a key are matched to earlier imports by overlap instead.
+ */
+
+import { parseRFC3339 } from '../time.js';
+import { CLIError, ERR_INVALID_ARGS } from '../errors.js';
+
+export const name = 'csv';
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold
+ * commas, doubled quotes and line breaks)
+ * @returns {Array<Array<string>>} - Blank lines are dropped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Map CSV rows to objects keyed by header, stripping a UTF-8 BOM
+ * @param {Array<string|Array<string>>} required - Header names that must be present;
+ *   for a list of alternatives, the first present one is used
+ * @returns {{columns: Array<string>, records: Array<object>}} - columns resolves each required entry
+ */
+export function csvRecords(text, required) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const names = header.map(h => h.trim());
+  const columns = required.map(entry => [].concat(entry).find(column => names.includes(column)));
+  const missing = required.filter((entry, i) => !columns[i]).map(entry => [].concat(entry).join(' or '));
+  if (missing.length > 0) {
+    throw new CLIError(ERR_INVALID_ARGS, `--file is missing CSV columns: ${missing.join(', ')}`, { missing, columns: names });
+  }
+  return {
+    columns,
+    records: rows.map(row => Object.fromEntries(names.map((column, i) => [column, (row[i] ?? '').trim()])))
+  };
+}
+
+/**
+ * Parse a routine-cli CSV file into import rows
+ * @returns {Array<object>} - { row, key, routine, start, end, note, tags } or { row, error };
+ *   key is null when the file has no key or id
+ */
+export function parse(text) {
+  const { columns, records } = csvRecords(text, [['routine', 'routineName'], 'start', 'end']);
+  const [routineColumn] = columns;
+
+  return records.map((record, i) => {
+    const row = i + 1;
+    if (!record[routineColumn]) {
+      return { row, error: `missing ${routineColumn}` };
+    }
+    for (const column of ['start', 'end']) {
+      const result = parseRFC3339(record[column]);
+      if (!result.valid) {
+        return { row, error: `invalid ${column}: ${result.error}` };
+      }
+    }
+    return {
+      row,
+      key: record.key || record.id || null,
+      routine: record[routineColumn],
+      start: record.start,
+      end: record.end,
+      note: record.note || null,
+      tags: record.tags ? record.tags.split(';').filter(Boolean) : []
+    };
+  });
+}
@@ -0,0 +1,26 @@
+/**
+ * Session importers
+ * An importer exports name and parse(text, options), which returns one entry
+ * per source row: { row, key, routine, start, end, note, tags }, or
+ * { row, error } for a row that cannot be imported.
+ */
+
+import * as csv from './csv.js';
+import * as timewarrior from './timewarrior.js';
+import * as toggl from './toggl.js';
+import { CLIError, ERR_INVALID_ARGS } from '../errors.js';
+
+export const IMPORTERS = [csv, timewarrior, toggl];
+
+export const PROVIDER_NAMES = IMPORTERS.map(i => i.name);
+
+/**
+ * Resolve a --provider value to an importer module
+ */
+export function resolveImporter(name) {
+  const importer = IMPORTERS.find(i => i.name === name);
+  if (!importer) {
+    throw new CLIError(ERR_INVALID_ARGS, `invalid --provider: ${name} (use ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return importer;
+}
@@ -0,0 +1,58 @@
+/**
+ * Timewarrior importer
+ * Reads `timew export` JSON. The first tag names the routine and the rest
+ * become session tags; intervals are keyed by their start time.
+ */
+
+import { CLIError, ERR_INVALID_ARGS } from '../errors.js';
+
+export const name = 'timewarrior';
+
+/**
+ * Convert a Timewarrior timestamp (20260131T090000Z) to RFC3339
+ * @returns {string|null} - null when the value is not in that form
+ */
+function toRFC3339(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}Z`;
+}
+
+/**
+ * Parse `timew export` output into import rows
+ * @returns {Array<object>} - { row, key, routine, start, end, note, tags } or { row, error }
+ */
+export function parse(text) {
+  let intervals;
+  try {
+    intervals = JSON.parse(text);
+  } catch (err) {
+    throw new CLIError(ERR_INVALID_ARGS, `--file is not Timewarrior JSON: ${err.message}`);
+  }
+  if (!Array.isArray(intervals)) {
+    throw new CLIError(ERR_INVALID_ARGS, '--file is not Timewarrior JSON: expected an array of intervals');
+  }
+
+  return intervals.map((interval, i) => {
+    const row = i + 1;
+    const start = toRFC3339(interval.start);
+    if (!start) {
+      return { row, error: `invalid start: ${interval.start}` };
+    }
+    if (!interval.end) {
+      return { row, error: 'interval is still open' };
+    }
+    const end = toRFC3339(interval.end);
+    if (!end) {
+      return { row, error: `invalid end: ${interval.end}` };
+    }
+    const [routine, ...tags] = interval.tags || [];
+    if (!routine) {
+      return { row, error: 'untagged interval: the first tag names the routine' };
+    }
+    return { row, key: interval.start, routine, start, end, note: interval.annotation || null, tags };
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * Toggl Track importer
+ * Reads the detailed report CSV export. Its dates and times are local, so
+ * they are read in --tz. The project names the routine ("No Project" when
+ * empty) and the description becomes the note.
+ */
+
+import { isValidDate, zonedTimeToInstant } from '../time.js';
+import { csvRecords } from './csv.js';
+
+export const name = 'toggl';
+
+const COLUMNS = ['Project', 'Description', 'Start date', 'Start time', 'End date', 'End time'];
+
+/** Time entry id columns, present in some export versions */
+const ID_COLUMNS = ['ID', 'Id', 'Time entry ID'];
+const TIME = /^\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Convert a local date and time to an RFC3339 UTC timestamp
+ * @returns {string|null} - null when either part is malformed
+ */
+function toRFC3339(date, time, tz) {
+  if (!isValidDate(date) || !TIME.test(time)) {
+    return null;
+  }
+  return zonedTimeToInstant(date, time, tz).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Parse a Toggl detailed CSV export into import rows
+ * Entries are keyed by their time entry id; exports without one leave the
+ * key null, and rows are matched to earlier imports by overlap.
+ * @param {object} options - { tz }
+ * @returns {Array<object>} - { row, key, routine, start, end, note, tags } or { row, error }
+ */
+export function parse(text, options) {
+  return csvRecords(text, COLUMNS).records.map((record, i) => {
+    const row = i + 1;
+    const start = toRFC3339(record['Start date'], record['Start time'], options.tz);
+    if (!start) {
+      return { row, error: `invalid start: ${record['Start date']} ${record['Start time']}` };
+    }
+    const end = toRFC3339(record['End date'], record['End time'], options.tz);
+    if (!end) {
+      return { row, error: `invalid end: ${record['End date']} ${record['End time']}` };
+    }
+    const routine = record.Project || 'No Project';
+    const idColumn = ID_COLUMNS.find(column => record[column]);
+    return {
+      row,
+      key: idColumn ? record[idColumn] : null,
+      routine,
+      start,
+      end,
+      note: record.Description || null,
+      tags: record.Tags ? record.Tags.split(',').map(t => t.trim()).filter(Boolean) : []
+    };
+  });
+}
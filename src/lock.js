@@ -0,0 +1,187 @@
+/**
+ * Advisory lock file for the database
+ * Held from load to final save, so concurrent processes take turns at the
+ * read-modify-write cycle instead of overwriting each other.
+ */
+
+import { linkSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { CLIError, ERR_DB_LOCKED, EXIT_DB_LOCKED } from './errors.js';
+
+export const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+const RETRY_INTERVAL_MS = 25;
+
+/**
+ * Age after which an unreadable lock file is treated as abandoned
+ * Locks are linked into place fully written, so no live owner leaves one unreadable for long.
+ */
+const UNREADABLE_LOCK_AGE_MS = 2000;
+
+const _held = new Set();
+
+process.on('exit', () => {
+  for (const lockPath of _held) {
+    releaseLock(lockPath);
+  }
+});
+
+/**
+ * Check whether a process is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the owner recorded in a lock file
+ * @returns {object|null} - null when the lock file is gone
+ */
+function readOwner(lockPath) {
+  try {
+    return JSON.parse(readFileSync(lockPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    return { pid: null };
+  }
+}
+
+/**
+ * Try once to create the lock file
+ * The owner is written to a private file first and hard-linked into place,
+ * so the lock never exists without its pid.
+ * @returns {boolean} - true if the lock was acquired
+ */
+function tryCreate(lockPath) {
+  const tmpPath = `${lockPath}.${process.pid}`;
+  writeFileSync(tmpPath, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+  try {
+    linkSync(tmpPath, lockPath);
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return false;
+    }
+    throw err;
+  } finally {
+    unlinkSync(tmpPath);
+  }
+}
+
+/**
+ * Whether a lock file was left behind: its owner is gone, or it has been unreadable for too long
+ * @returns {boolean} - false when the file does not exist
+ */
+function isStale(lockPath) {
+  const owner = readOwner(lockPath);
+  if (!owner) {
+    return false;
+  }
+  if (Number.isInteger(owner.pid)) {
+    return !isProcessAlive(owner.pid);
+  }
+  try {
+    return Date.now() - statSync(lockPath).mtimeMs >= UNREADABLE_LOCK_AGE_MS;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Delete a file that may already be gone
+ */
+function unlinkIfPresent(path) {
+  try {
+    unlinkSync(path);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Remove a stale lock, one process at a time
+ * Reclaims are serialised through <lock>.reclaim. Holding it, the lock is
+ * checked again and deleted only if it is still stale: no other process can
+ * remove a stale lock meanwhile, and none can create one while it exists, so
+ * a lock another process took after the first check is never touched.
+ * A .reclaim left by a process that died holding it is removed once stale;
+ * the section it guards is synchronous, so that takes a crash inside it.
+ * @returns {boolean} - true if the stale lock is gone
+ */
+export function reclaimStale(lockPath) {
+  const reclaimPath = `${lockPath}.reclaim`;
+  if (!tryCreate(reclaimPath)) {
+    if (isStale(reclaimPath)) {
+      unlinkIfPresent(reclaimPath);
+    }
+    return false;
+  }
+  try {
+    if (!isStale(lockPath)) {
+      return false;
+    }
+    unlinkIfPresent(lockPath);
+    return true;
+  } finally {
+    unlinkSync(reclaimPath);
+  }
+}
+
+/**
+ * Acquire the lock for a database file, waiting up to timeoutMs
+ * Locks left behind by processes that no longer exist, or unreadable
+ * for UNREADABLE_LOCK_AGE_MS, are removed.
+ * @param {string} dbPath - Path to SQLite database
+ * @param {number} timeoutMs - How long to wait for another process
+ * @returns {Promise<string>} - Path of the lock file
+ */
+export async function acquireLock(dbPath, timeoutMs = DEFAULT_LOCK_TIMEOUT_MS) {
+  const lockPath = `${dbPath}.lock`;
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    if (tryCreate(lockPath)) {
+      _held.add(lockPath);
+      return lockPath;
+    }
+
+    if (isStale(lockPath) && reclaimStale(lockPath)) {
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      const owner = readOwner(lockPath);
+      throw new CLIError(
+        ERR_DB_LOCKED,
+        `database is locked by another process: ${dbPath}`,
+        { lockPath, pid: owner ? owner.pid : null, timeoutMs },
+        EXIT_DB_LOCKED
+      );
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL_MS));
+  }
+}
+
+/**
+ * Release a lock acquired by this process
+ */
+export function releaseLock(lockPath) {
+  if (!_held.delete(lockPath)) {
+    return;
+  }
+  const owner = readOwner(lockPath);
+  if (owner && owner.pid === process.pid) {
+    unlinkSync(lockPath);
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Schema migrations for routine-cli
+ * The applied version lives in schema_info ('version'). Migrations run in
+ * order, each in its own transaction, after a backup of the database.
+ */
+
+import { existsSync } from 'fs';
+import { getDateInTz } from './time.js';
+import {
+  CLIError,
+  ERR_SCHEMA_TOO_NEW,
+  EXIT_GENERIC_FAILURE
+} from './errors.js';
+
+/**
+ * Version 1: SQLite schema per MVP_SPEC.md Section 9
+ */
+const INITIAL_SCHEMA = `
+-- routines table
+CREATE TABLE IF NOT EXISTS routines (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  tz TEXT NOT NULL,
+  rule TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  archived_at TEXT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_routines_name ON routines(name);
+
+-- sessions table
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  routine_id TEXT NOT NULL REFERENCES routines(id),
+  start_ts TEXT NOT NULL,
+  end_ts TEXT NULL,
+  note TEXT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  deleted_at TEXT NULL,
+  source_provider TEXT NULL,
+  source_key TEXT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_routine_start ON sessions(routine_id, start_ts);
+
+-- session_events table (pause/resume)
+CREATE TABLE IF NOT EXISTS session_events (
+  id TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES sessions(id),
+  type TEXT NOT NULL,
+  ts TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_events_session_ts ON session_events(session_id, ts);
+
+-- session_tags table
+CREATE TABLE IF NOT EXISTS session_tags (
+  session_id TEXT NOT NULL REFERENCES sessions(id),
+  tag TEXT NOT NULL,
+  PRIMARY KEY (session_id, tag)
+);
+
+-- skips table
+CREATE TABLE IF NOT EXISTS skips (
+  id TEXT PRIMARY KEY,
+  routine_id TEXT NOT NULL REFERENCES routines(id),
+  date TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  UNIQUE(routine_id, date)
+);
+
+-- schema version
+CREATE TABLE IF NOT EXISTS schema_info (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+`;
+
+/**
+ * Rule history table of version 2
+ */
+const RULE_VERSIONS_TABLE = `
+CREATE TABLE IF NOT EXISTS routine_rules (
+  id TEXT PRIMARY KEY,
+  routine_id TEXT NOT NULL REFERENCES routines(id),
+  rule TEXT NOT NULL,
+  effective_date TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  UNIQUE(routine_id, effective_date)
+);
+`;
+
+/**
+ * Version 2: rule history, so past days keep the rule that applied then
+ * Existing routines get one version effective from their creation date in
+ * their own timezone, as routineAdd dates it.
+ */
+function seedRuleVersions(db) {
+  db.exec(RULE_VERSIONS_TABLE);
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO routine_rules (id, routine_id, rule, effective_date, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  for (const routine of db.prepare('SELECT id, rule, tz, created_at FROM routines').all()) {
+    insert.run(`rul_${routine.id.slice(4)}`, routine.id, routine.rule, getDateInTz(routine.created_at, routine.tz), routine.created_at);
+  }
+}
+
+/**
+ * Version 3: stored results of commands run with --idempotency-key
+ */
+const IDEMPOTENCY_KEYS = `
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  key TEXT PRIMARY KEY,
+  command TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  result TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+`;
+
+/**
+ * Version 4: append-only audit journal of state-changing commands
+ * before/after hold JSON snapshots of the raw rows of the changed entity.
+ */
+const AUDIT_LOG = `
+CREATE TABLE IF NOT EXISTS audit_log (
+  id TEXT PRIMARY KEY,
+  seq INTEGER NOT NULL UNIQUE,
+  command TEXT NOT NULL,
+  args TEXT NOT NULL,
+  ts TEXT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  routine_id TEXT NULL,
+  before TEXT NULL,
+  after TEXT NULL,
+  cli_version TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_id, seq);
+CREATE INDEX IF NOT EXISTS idx_audit_log_routine ON audit_log(routine_id, seq);
+`;
+
+/**
+ * Version 5: undo entries point at the entry they reverted
+ */
+const AUDIT_UNDO = `
+ALTER TABLE audit_log ADD COLUMN undoes TEXT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_undoes ON audit_log(undoes);
+`;
+
+/**
+ * Version 6: an imported row maps to at most one session
+ */
+const SESSION_SOURCES = `
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_source ON sessions(source_provider, source_key)
+  WHERE source_provider IS NOT NULL;
+`;
+
+/**
+ * Version 7: keys point at the audit entry of the change they stored,
+ * so undoing that change can drop them
+ */
+const IDEMPOTENCY_AUDIT = `
+ALTER TABLE idempotency_keys ADD COLUMN audit_id TEXT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_audit ON idempotency_keys(audit_id);
+`;
+
+/**
+ * Ordered migrations; append new ones, never edit applied ones
+ */
+export const MIGRATIONS = [
+  { version: 1, description: 'initial schema', up: INITIAL_SCHEMA },
+  { version: 2, description: 'versioned routine rules', up: seedRuleVersions },
+  { version: 3, description: 'idempotency keys', up: IDEMPOTENCY_KEYS },
+  { version: 4, description: 'audit log', up: AUDIT_LOG },
+  { version: 5, description: 'audit log undo links', up: AUDIT_UNDO },
+  { version: 6, description: 'unique session import sources', up: SESSION_SOURCES },
+  { version: 7, description: 'idempotency key audit links', up: IDEMPOTENCY_AUDIT }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the schema version of a database (0 if it has never been initialized)
+ */
+export function getSchemaVersion(db) {
+  const table = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_info'
+  `).get();
+  if (!table) {
+    return 0;
+  }
+  const row = db.prepare(`SELECT value FROM schema_info WHERE key = 'version'`).get();
+  return row ? parseInt(row.value, 10) : 0;
+}
+
+/**
+ * Refuse databases written by a newer routine-cli
+ */
+export function assertSupportedVersion(version, migrations = MIGRATIONS) {
+  const supported = migrations[migrations.length - 1].version;
+  if (version > supported) {
+    throw new CLIError(
+      ERR_SCHEMA_TOO_NEW,
+      `database schema v${version} is newer than this routine-cli supports (v${supported}); upgrade routine-cli`,
+      { version, supported },
+      EXIT_GENERIC_FAILURE
+    );
+  }
+}
+
+/**
+ * List migrations not yet applied to a database
+ * @returns {Array<{version: number, description: string}>}
+ */
+export function pendingMigrations(db, migrations = MIGRATIONS) {
+  const version = getSchemaVersion(db);
+  assertSupportedVersion(version, migrations);
+  return migrations
+    .filter(m => m.version > version)
+    .map(m => ({ version: m.version, description: m.description }));
+}
+
+/**
+ * Apply pending migrations
+ * A migration's up is SQL, or a function of the database for steps SQL can't express.
+ * Before each one, the database is backed up to <dbPath>.v<version>.bak
+ * (skipped for a database that has no schema yet).
+ * @returns {{from: number, to: number, applied: Array<{version, description, backup}>}}
+ */
+export function runMigrations(db, dbPath, migrations = MIGRATIONS) {
+  const from = getSchemaVersion(db);
+  assertSupportedVersion(from, migrations);
+
+  let current = from;
+  const applied = [];
+  for (const migration of migrations) {
+    if (migration.version <= current) {
+      continue;
+    }
+
+    let backup = null;
+    if (from > 0 && dbPath && existsSync(dbPath)) {
+      backup = `${dbPath}.v${current}.bak`;
+      db.backup(backup);
+    }
+
+    db.transaction(() => {
+      if (typeof migration.up === 'function') {
+        migration.up(db);
+      } else {
+        db.exec(migration.up);
+      }
+      db.prepare(`INSERT OR REPLACE INTO schema_info (key, value) VALUES ('version', ?)`)
+        .run(String(migration.version));
+    });
+
+    current = migration.version;
+    applied.push({ version: migration.version, description: migration.description, backup });
+  }
+
+  return { from, to: current, applied };
+}
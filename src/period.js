@@ -0,0 +1,399 @@
+/**
+ * Period evaluation for routine-cli
+ * Maps a rule's period to local-date windows (day, week, month) and
+ * totals sessions over them in the routine's timezone.
+ */
+
+import { getDateInTz, getDayBoundaries, addDays, isAfter } from './time.js';
+import { WEEKDAYS, parseRule, ruleProgress, evaluateRule, isScheduledDay } from './rule.js';
+import { buildSession, sessionContribution, clipSession } from './commands/session.js';
+
+export const DEFAULT_WEEK_START = 'mon';
+
+/** Report bucket sizes, mapped to the rule period whose window they share */
+export const GRANULARITIES = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+/**
+ * Index (0 = mon .. 6 = sun) of a YYYY-MM-DD date
+ */
+function weekdayIndex(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Get the evaluation window of a rule that contains a date
+ * @param {object} ast - Parsed rule
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} weekStart - First day of the week (mon..sun)
+ * @returns {{start: string, end: string}} - Inclusive local dates
+ */
+export function getWindow(ast, date, weekStart = DEFAULT_WEEK_START) {
+  switch (ast.period.type) {
+    case 'weekly': {
+      const offset = (weekdayIndex(date) - WEEKDAYS.indexOf(weekStart) + 7) % 7;
+      const start = addDays(date, -offset);
+      return { start, end: addDays(start, 6) };
+    }
+    case 'monthly': {
+      const start = `${date.slice(0, 7)}-01`;
+      const [year, month] = date.split('-').map(Number);
+      const end = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+      return { start, end };
+    }
+    default:
+      return { start: date, end: date };
+  }
+}
+
+/**
+ * Split an inclusive date range into day, week or month buckets
+ * The first and last buckets are clipped to the range.
+ * @param {string} granularity - day | week | month
+ * @returns {Array<{start: string, end: string}>} - Inclusive local dates
+ */
+export function bucketsBetween(start, end, granularity, weekStart = DEFAULT_WEEK_START) {
+  const ast = { period: { type: GRANULARITIES[granularity] } };
+  const buckets = [];
+  for (let date = start; date <= end;) {
+    const window = getWindow(ast, date, weekStart);
+    buckets.push({ start: date, end: window.end < end ? window.end : end });
+    date = addDays(window.end, 1);
+  }
+  return buckets;
+}
+
+/**
+ * Get the instants bounding a window in a timezone
+ * @returns {{start: Date, end: Date}} - end is exclusive
+ */
+export function getWindowBoundaries(window, tz) {
+  return {
+    start: getDayBoundaries(window.start, tz).start,
+    end: getDayBoundaries(window.end, tz).end
+  };
+}
+
+/**
+ * Load a routine's sessions as of a timestamp (sessions starting later are excluded)
+ */
+export function loadRoutineSessions(db, routineId, asOf) {
+  const stmt = db.prepare(`
+    SELECT * FROM sessions
+    WHERE routine_id = ? AND deleted_at IS NULL
+    ORDER BY start_ts ASC, id ASC
+  `);
+  return stmt.all(routineId)
+    .filter(row => !isAfter(row.start_ts, asOf))
+    .map(row => buildSession(db, row, asOf));
+}
+
+/**
+ * Instant a window is counted up to: its end, or asOf while it is still open
+ */
+export function countedUntil(boundaries, asOf) {
+  const asOfDate = new Date(asOf);
+  return boundaries.end.getTime() < asOfDate.getTime() ? boundaries.end : asOfDate;
+}
+
+/**
+ * Whether a session counts toward a window's sessionsCount: it started within
+ * the window, before asOf. A session running across a boundary counts once,
+ * in the window where it started.
+ */
+export function startsWithin(session, boundaries, asOf) {
+  const started = new Date(session.start).getTime();
+  return started >= boundaries.start.getTime() && started < countedUntil(boundaries, asOf).getTime();
+}
+
+/**
+ * Total built sessions over [start, end), clipped at asOf
+ * @returns {{durationSeconds: number, pausedSeconds: number, activeSeconds: number, sessionsCount: number}}
+ */
+export function sumSessions(sessions, boundaries, asOf) {
+  const to = countedUntil(boundaries, asOf);
+
+  const totals = { durationSeconds: 0, pausedSeconds: 0, activeSeconds: 0, sessionsCount: 0 };
+  for (const session of sessions) {
+    const contribution = sessionContribution(session, boundaries.start, to);
+    totals.durationSeconds += contribution.durationSeconds;
+    totals.pausedSeconds += contribution.pausedSeconds;
+    totals.activeSeconds += contribution.activeSeconds;
+    if (startsWithin(session, boundaries, asOf)) {
+      totals.sessionsCount++;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Walk sessions window by window, in one pass
+ * Returns a function that takes ascending, non-overlapping window boundaries
+ * and gives the sessions that may count toward each: those starting before
+ * the window ends and not ending before it starts. Sessions are sorted by
+ * start instant once; ones ending before a window are never looked at again.
+ * @returns {Function} - (boundaries) => sessions
+ */
+export function sessionCursor(sessions) {
+  const startOf = session => new Date(session.start).getTime();
+  // Open sessions run up to asOf, which sumSessions clips to
+  const endOf = session => (session.end ? new Date(session.end).getTime() : Infinity);
+  const sorted = [...sessions].sort((a, b) => startOf(a) - startOf(b));
+  let next = 0;
+  let pending = [];
+
+  return boundaries => {
+    const from = boundaries.start.getTime();
+    const to = boundaries.end.getTime();
+    while (next < sorted.length && startOf(sorted[next]) < to) {
+      pending.push(sorted[next++]);
+    }
+    // Zero-length sessions starting in the window still count as sessions
+    pending = pending.filter(session => endOf(session) > from || startOf(session) >= from);
+    return pending;
+  };
+}
+
+/**
+ * Load a routine's rule versions, oldest first
+ * Routines without recorded versions use their current rule from creation.
+ * Rules that do not parse (stored before --rule was validated) are left out,
+ * so the list is empty when a routine has no usable rule.
+ * @returns {Array<{rule: string, ast: object, effectiveDate: string}>}
+ */
+export function loadRuleVersions(db, routine) {
+  const stmt = db.prepare(`
+    SELECT rule, effective_date as effectiveDate FROM routine_rules
+    WHERE routine_id = ?
+    ORDER BY effective_date ASC
+  `);
+  const rows = stmt.all(routine.id);
+  if (rows.length === 0) {
+    rows.push({ rule: routine.rule, effectiveDate: getDateInTz(routine.createdAt, routine.tz) });
+  }
+  return rows
+    .map(r => ({ rule: r.rule, effectiveDate: r.effectiveDate, ast: parseRule(r.rule).ast }))
+    .filter(version => version.ast);
+}
+
+/**
+ * Find the rule version in effect on a date
+ * Dates before the first version fall back to it.
+ */
+export function ruleOn(versions, date) {
+  let current = versions[0];
+  for (const version of versions) {
+    if (version.effectiveDate <= date) {
+      current = version;
+    }
+  }
+  return current;
+}
+
+/**
+ * Evaluate one window under a rule version
+ * @param {object} context - { routine, versions, sessions, skipped: Set<string>, asOf }
+ * @param {Array<object>} [sessions] - Sessions to total, when narrowed to the window (see sessionCursor)
+ * @returns {object} - Window dates, rule, totals and rule progress
+ */
+function evaluateWindowWith(context, window, version, sessions = context.sessions) {
+  const { routine, skipped, asOf } = context;
+  const { ast } = version;
+  const boundaries = getWindowBoundaries(window, routine.tz);
+  const totals = sumSessions(sessions, boundaries, asOf);
+  const closed = boundaries.end.getTime() <= new Date(asOf).getTime();
+
+  const progress = ruleProgress(ast, totals, closed);
+  const dates = [];
+  for (let date = window.start; date <= window.end; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  if (dates.every(date => skipped.has(date))) {
+    progress.status = 'skipped';
+  } else if (!isScheduledDay(ast, window.start)) {
+    progress.status = 'rest';
+  }
+
+  return { start: window.start, end: window.end, rule: version.rule, closed, totals, ...progress };
+}
+
+/**
+ * Build the evaluation context shared by window evaluations of a routine
+ */
+function windowContext(db, routine, asOf) {
+  const skipStmt = db.prepare('SELECT date FROM skips WHERE routine_id = ?');
+  return {
+    routine,
+    versions: loadRuleVersions(db, routine),
+    sessions: loadRoutineSessions(db, routine.id, asOf),
+    skipped: new Set(skipStmt.all(routine.id).map(s => s.date)),
+    asOf
+  };
+}
+
+/**
+ * Lay out consecutive windows from firstDate through the one containing lastDate
+ * Each window takes the rule in effect on its first day; a rule change lands
+ * at the next window, which then starts on the change date even mid-period.
+ * @returns {Array<{window: {start, end}, version: object}>}
+ */
+function windowsBetween(versions, firstDate, lastDate, weekStart) {
+  const windows = [];
+  for (let date = firstDate; date <= lastDate;) {
+    const version = ruleOn(versions, date);
+    let window = getWindow(version.ast, date, weekStart);
+    if (date !== firstDate && window.start < date) {
+      window = { start: date, end: window.end };
+    }
+    windows.push({ window, version });
+    date = addDays(window.end, 1);
+  }
+  return windows;
+}
+
+/**
+ * Evaluate the window containing a date
+ * @param {object} routine - Routine row (id, tz, rule, createdAt)
+ * @param {string} date - YYYY-MM-DD within the window
+ * @param {string} asOf - RFC3339 evaluation time
+ * @returns {object|null} - null when the routine has no rule that parses
+ */
+export function evaluateWindow(db, routine, date, asOf, weekStart = DEFAULT_WEEK_START) {
+  const context = windowContext(db, routine, asOf);
+  if (context.versions.length === 0) {
+    return null;
+  }
+  const firstDate = getDateInTz(routine.createdAt, routine.tz);
+
+  if (date < firstDate) {
+    const version = ruleOn(context.versions, date);
+    return evaluateWindowWith(context, getWindow(version.ast, date, weekStart), version);
+  }
+  const { window, version } = windowsBetween(context.versions, firstDate, date, weekStart).pop();
+  return evaluateWindowWith(context, window, version);
+}
+
+/**
+ * Active seconds of each date in an evaluated window
+ * A one-day window reuses its own totals.
+ */
+function dailyActiveSeconds(evaluated, sessions, tz, asOf) {
+  const days = [];
+  for (let date = evaluated.start; date <= evaluated.end; date = addDays(date, 1)) {
+    const activeSeconds = evaluated.start === evaluated.end
+      ? evaluated.totals.activeSeconds
+      : sumSessions(sessions, getDayBoundaries(date, tz), asOf).activeSeconds;
+    days.push({ date, activeSeconds });
+  }
+  return days;
+}
+
+/**
+ * Evaluate every window from the routine's creation up to the one containing asOf
+ * Sessions are walked alongside the windows, so the cost grows with
+ * windows + sessions rather than their product.
+ * @returns {Array<object>} - Oldest first, each with its days' active seconds;
+ *   the last window is still open unless asOf is past its end (empty without a rule that parses)
+ */
+export function windowHistory(db, routine, asOf, weekStart = DEFAULT_WEEK_START) {
+  const context = windowContext(db, routine, asOf);
+  if (context.versions.length === 0) {
+    return [];
+  }
+  const firstDate = getDateInTz(routine.createdAt, routine.tz);
+  const lastDate = getDateInTz(asOf, routine.tz);
+  const sessionsIn = sessionCursor(context.sessions);
+
+  return windowsBetween(context.versions, firstDate, lastDate, weekStart)
+    .map(({ window, version }) => {
+      const sessions = sessionsIn(getWindowBoundaries(window, routine.tz));
+      const evaluated = evaluateWindowWith(context, window, version, sessions);
+      return { ...evaluated, days: dailyActiveSeconds(evaluated, sessions, routine.tz, asOf) };
+    });
+}
+
+/**
+ * Describe the local dates of a window and the instants they map to
+ * @returns {object} - Dates, tz, [from, to) and the asOf clamp
+ */
+export function explainBoundaries(window, tz, asOf) {
+  const boundaries = getWindowBoundaries(window, tz);
+  const until = countedUntil(boundaries, asOf);
+  return {
+    start: window.start,
+    end: window.end,
+    tz,
+    from: boundaries.start.toISOString(),
+    to: boundaries.end.toISOString(),
+    countedUntil: until.toISOString(),
+    clampedToAsOf: until !== boundaries.end
+  };
+}
+
+/**
+ * Trace how a session was clipped into a window, as sumSessions counts it
+ * @param {object} boundaries - From getWindowBoundaries
+ * @returns {object} - clipped is null when the session does not overlap the window
+ */
+export function explainContribution(session, boundaries, asOf) {
+  const to = countedUntil(boundaries, asOf);
+  const clipped = clipSession(session, boundaries.start, to);
+
+  return {
+    sessionId: session.id,
+    routineId: session.routineId,
+    interval: { start: session.start, end: session.end || session.computed.asOf, endSource: session.end ? 'end' : 'asOf' },
+    clipped: clipped && { start: clipped.start, end: clipped.end },
+    pauses: clipped ? clipped.pauses : [],
+    durationSeconds: clipped ? clipped.durationSeconds : 0,
+    pausedSeconds: clipped ? clipped.pausedSeconds : 0,
+    activeSeconds: clipped ? clipped.activeSeconds : 0,
+    countsAsSession: startsWithin(session, boundaries, asOf)
+  };
+}
+
+/**
+ * Trace a window evaluation from evaluateWindow: the rule version, the
+ * window's instants, each contributing session and how the status was reached
+ * @param {object} evaluated - Result of evaluateWindow
+ */
+export function explainWindow(db, routine, evaluated, asOf) {
+  const version = ruleOn(loadRuleVersions(db, routine), evaluated.start);
+  const boundaries = getWindowBoundaries(evaluated, routine.tz);
+  const window = explainBoundaries(evaluated, routine.tz, asOf);
+  const sessions = loadRoutineSessions(db, routine.id, asOf)
+    .map(session => explainContribution(session, boundaries, asOf))
+    .filter(trace => trace.clipped);
+  const skippedDates = db.prepare(`
+    SELECT date FROM skips WHERE routine_id = ? AND date BETWEEN ? AND ? ORDER BY date ASC
+  `).all(routine.id, evaluated.start, evaluated.end).map(s => s.date);
+  const ruleStatus = evaluateRule(version.ast, evaluated.totals, evaluated.closed);
+
+  const steps = [
+    `rule ${version.rule} in effect since ${version.effectiveDate}`,
+    `window ${window.start}..${window.end} in ${window.tz} is [${window.from}, ${window.to})`,
+    evaluated.closed ? `window closed before asOf ${asOf}` : `window open: counted up to asOf ${window.countedUntil}`,
+    `achieved = ${evaluated.achieved} ${evaluated.unit} from ${sessions.length} session(s)`,
+    `${evaluated.achieved} ${evaluated.comparator} ${evaluated.target} → ${ruleStatus}`
+  ];
+  if (evaluated.status === 'skipped') {
+    steps.push('every date in the window is skipped → skipped');
+  } else if (evaluated.status === 'rest') {
+    steps.push(`${evaluated.start} is not a scheduled day → rest`);
+  }
+
+  return {
+    routineId: routine.id,
+    rule: version.rule,
+    ruleEffectiveDate: version.effectiveDate,
+    window,
+    closed: evaluated.closed,
+    sessions,
+    skippedDates,
+    unit: evaluated.unit,
+    comparator: evaluated.comparator,
+    target: evaluated.target,
+    achieved: evaluated.achieved,
+    status: evaluated.status,
+    steps
+  };
+}
@@ -0,0 +1,349 @@
+/**
+ * Human-readable output for routine-cli
+ * Commands without a renderer fall back to indented JSON of their result.
+ */
+
+import { formatDuration } from './time.js';
+
+const ANSI = {
+  bold: [1, 22],
+  dim: [2, 22],
+  red: [31, 39],
+  green: [32, 39],
+  yellow: [33, 39],
+  cyan: [36, 39]
+};
+
+const STATUS_STYLES = {
+  running: 'green',
+  paused: 'yellow',
+  stopped: 'dim',
+  deleted: 'red',
+  met: 'green',
+  missed: 'red',
+  pending: 'yellow',
+  skipped: 'dim',
+  rest: 'dim'
+};
+
+const BAR_WIDTH = 20;
+
+// East Asian wide and fullwidth ranges take two terminal columns
+const WIDE = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/;
+const ESC = String.fromCharCode(27);
+const ANSI_CODE = new RegExp(`${ESC}\\[\\d+m`, 'g');
+
+/**
+ * Whether to color output: stdout is a terminal and NO_COLOR is unset or empty
+ */
+export function useColor(stream = process.stdout, env = process.env) {
+  return Boolean(stream.isTTY) && !env.NO_COLOR;
+}
+
+/**
+ * Build a styling function; a no-op when color is off
+ */
+function styler(color) {
+  return (style, text) => {
+    if (!color || !style) {
+      return text;
+    }
+    const [open, close] = ANSI[style];
+    return `${ESC}[${open}m${text}${ESC}[${close}m`;
+  };
+}
+
+/**
+ * Terminal columns a string occupies, ignoring color codes
+ */
+export function displayWidth(text) {
+  let width = 0;
+  for (const char of text.replace(ANSI_CODE, '')) {
+    width += WIDE.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * Pad a string to a display width
+ */
+function pad(text, width) {
+  return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+/**
+ * Lay out rows in aligned columns, two spaces apart
+ * @param {Array<string>|null} header - Column titles, or null for none
+ * @param {Array<Array<string>>} rows
+ * @returns {Array<string>} - Lines
+ */
+export function table(header, rows, style) {
+  const all = header ? [header, ...rows] : rows;
+  const widths = [];
+  for (const row of all) {
+    row.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] || 0, displayWidth(cell));
+    });
+  }
+  const line = row => row.map((cell, i) => (i === row.length - 1 ? cell : pad(cell, widths[i]))).join('  ').trimEnd();
+  const lines = rows.map(line);
+  return header ? [style('bold', line(header)), ...lines] : lines;
+}
+
+/**
+ * Draw a progress bar for a fraction (clamped to 0..1)
+ */
+export function progressBar(fraction, style, statusStyle) {
+  const filled = Math.round(Math.min(1, Math.max(0, fraction)) * BAR_WIDTH);
+  return style(statusStyle, '█'.repeat(filled)) + style('dim', '░'.repeat(BAR_WIDTH - filled));
+}
+
+/**
+ * Format an amount in a rule unit
+ */
+function formatAmount(value, unit) {
+  return unit === 'sessions' ? `${value}x` : formatDuration(value);
+}
+
+/**
+ * Status of a session, counting soft-deleted ones as deleted
+ */
+function sessionStatus(session) {
+  return session.deletedAt ? 'deleted' : session.status;
+}
+
+/**
+ * Aligned table of sessions
+ */
+function sessionTable(sessions, style) {
+  if (sessions.length === 0) {
+    return ['No sessions.'];
+  }
+  return table(
+    ['ID', 'ROUTINE', 'STATUS', 'START', 'ACTIVE', 'PAUSED'],
+    sessions.map(s => [
+      s.id,
+      s.routineName,
+      style(STATUS_STYLES[sessionStatus(s)], sessionStatus(s)),
+      s.start,
+      formatDuration(s.computed.activeSeconds),
+      formatDuration(s.computed.pausedSeconds)
+    ]),
+    style
+  );
+}
+
+/**
+ * Card with the details of one session
+ */
+function sessionCard(session, style) {
+  const status = sessionStatus(session);
+  const pauses = session.pauses.length;
+  const rows = [
+    ['Session', style('cyan', session.id)],
+    ['Routine', session.routineName],
+    ['Status', style(STATUS_STYLES[status], status)],
+    ['Start', session.start],
+    ['End', session.end || '-'],
+    ['Active', style('bold', formatDuration(session.computed.activeSeconds))],
+    ['Paused', `${formatDuration(session.computed.pausedSeconds)} (${pauses} ${pauses === 1 ? 'pause' : 'pauses'})`],
+    ['Elapsed', formatDuration(session.computed.durationSeconds)]
+  ];
+  if (session.tags.length > 0) {
+    rows.push(['Tags', session.tags.join(', ')]);
+  }
+  if (session.note) {
+    rows.push(['Note', session.note]);
+  }
+  if (session.deletedAt) {
+    rows.push(['Deleted', session.deletedAt]);
+  }
+  if (!session.end) {
+    rows.push(['As of', style('dim', session.computed.asOf)]);
+  }
+  return table(null, rows.map(([label, value]) => [style('dim', label), value]), style);
+}
+
+/**
+ * One line describing a routine
+ */
+function routineLine(routine, style) {
+  const archived = routine.archivedAt ? style('dim', ` (archived ${routine.archivedAt})`) : '';
+  return `${style('cyan', routine.id)}  ${routine.name}  ${routine.rule}  ${routine.tz}${archived}`;
+}
+
+/**
+ * A routine with its rule history and skips
+ */
+function renderShow(data, style) {
+  const { routine } = data;
+  const lines = [routineLine(routine, style), '', style('bold', 'Rules')];
+  lines.push(...table(null, routine.rules.map(r => [`  ${r.effectiveDate}`, r.rule]), style));
+  if (routine.skips.length > 0) {
+    lines.push('', style('bold', 'Skips'));
+    lines.push(...table(null, routine.skips.map(s => [`  ${s.date}`, s.reason || '']), style));
+  }
+  return lines;
+}
+
+/**
+ * Per-routine goal progress and totals for today
+ */
+function renderToday(data, style) {
+  const lines = [`${style('bold', data.date)}  ${data.tz}  ${style('dim', `as of ${data.asOf}`)}`, ''];
+  if (data.routines.length === 0) {
+    lines.push('No routines.');
+  } else {
+    lines.push(...table(null, data.routines.map(r => {
+      const { goal } = r;
+      if (!goal) {
+        // Stored before --rule was validated; edit --rule gives it a goal
+        return [`  ${r.routineName}`, progressBar(0, style, 'dim'), formatDuration(r.totals.activeSeconds),
+          style('dim', 'no goal'), style('dim', 'rule does not parse')];
+      }
+      const fraction = goal.target > 0 ? goal.achieved / goal.target : 1;
+      const window = goal.window.start === goal.window.end ? '' : ` ${goal.window.start}..${goal.window.end}`;
+      return [
+        `  ${r.routineName}`,
+        progressBar(fraction, style, STATUS_STYLES[goal.status]),
+        `${formatAmount(goal.achieved, goal.unit)}/${formatAmount(goal.target, goal.unit)}`,
+        style(STATUS_STYLES[goal.status], goal.status),
+        style('dim', `${goal.rule}${window}`)
+      ];
+    }), style));
+  }
+  const t = data.totals;
+  lines.push('', `Total: ${style('bold', formatDuration(t.activeSeconds))} active, ` +
+    `${formatDuration(t.pausedSeconds)} paused, ${t.sessionsCount} ${t.sessionsCount === 1 ? 'session' : 'sessions'}`);
+  return lines;
+}
+
+/**
+ * Bucket totals per routine, then the grand total
+ */
+function renderReport(data, style) {
+  const rows = data.routines.flatMap(r => r.buckets.map(b => [
+    r.routineName,
+    b.start === b.end ? b.start : `${b.start}..${b.end}`,
+    formatDuration(b.totals.activeSeconds),
+    formatDuration(b.totals.pausedSeconds),
+    String(b.totals.sessionsCount)
+  ]));
+  const t = data.totals;
+  rows.push([style('bold', 'Total'), `${data.start}..${data.end}`, style('bold', formatDuration(t.activeSeconds)),
+    formatDuration(t.pausedSeconds), String(t.sessionsCount)]);
+  return table(['ROUTINE', data.granularity.toUpperCase(), 'ACTIVE', 'PAUSED', 'SESSIONS'], rows, style);
+}
+
+/**
+ * Current and longest streak, then recent windows
+ */
+function renderStreak(data, style) {
+  const lines = [
+    `${data.routineName}  ${style('dim', data.rule)}`,
+    `Current ${style('bold', String(data.current))}  Longest ${data.longest}`
+  ];
+  if (data.windows.length > 0) {
+    lines.push('', ...table(['WINDOW', 'ACTIVE', 'SESSIONS', 'STATUS'], data.windows.map(w => [
+      w.start === w.end ? w.start : `${w.start}..${w.end}`,
+      formatDuration(w.activeSeconds),
+      String(w.sessionsCount),
+      style(STATUS_STYLES[w.status], w.status)
+    ]), style));
+  }
+  return lines;
+}
+
+/**
+ * Audit entries, oldest first, marking the undone ones
+ */
+function renderHistory(data, style) {
+  if (data.entries.length === 0) {
+    return ['No history.'];
+  }
+  return table(['SEQ', 'TS', 'COMMAND', 'ENTITY', ''], data.entries.map(e => [
+    String(e.seq),
+    e.ts,
+    e.command,
+    e.entityId,
+    e.undoneBy ? style('dim', `undone by ${e.undoneBy}`) : ''
+  ]), style);
+}
+
+/**
+ * Counts of an import, then the rows needing attention
+ */
+function renderImport(data, style) {
+  const c = data.counts;
+  const lines = [
+    `${data.dryRun ? 'Would import' : 'Imported'} ${style('bold', String(c.imported))} from ${data.file} (${data.provider}): ` +
+    `${c.skipped} skipped, ${c.conflicts} conflicts, ${c.invalid} invalid, ${c.routinesCreated} routines created`
+  ];
+  for (const conflict of data.conflicts) {
+    lines.push(style('yellow', `  row ${conflict.row}: conflicts with ${conflict.sessionId} ` +
+      `(${conflict.existing.start}..${conflict.existing.end})`));
+  }
+  for (const row of data.invalid) {
+    lines.push(style('red', `  row ${row.row}: ${row.error}`));
+  }
+  return lines;
+}
+
+/**
+ * Renderers by command; each returns lines
+ */
+const RENDERERS = {
+  list: (data, style) => (data.routines.length === 0 ? ['No routines.'] : table(
+    ['ID', 'NAME', 'TZ', 'RULE', 'ARCHIVED'],
+    data.routines.map(r => [r.id, r.name, r.tz, r.rule, r.archivedAt || '']),
+    style
+  )),
+  active: (data, style) => sessionTable(data.sessions, style),
+  status: (data, style) => (data.session ? sessionCard(data.session, style) : sessionTable(data.sessions, style)),
+  show: renderShow,
+  today: renderToday,
+  streak: renderStreak,
+  report: renderReport,
+  history: renderHistory,
+  undo: data => [`Undid ${data.undone.command} ${data.undone.id} (${data.entityType} ${data.entityId})`],
+  import: renderImport
+};
+
+/**
+ * The identifiers a command produced, for --quiet
+ * @returns {Array<string>}
+ */
+function primaryIds(data) {
+  if (data.session) return [data.session.id];
+  if (data.sessions) return data.sessions.map(s => s.id);
+  if (data.routine) return [data.routine.id];
+  if (data.routines && data.routines.every(r => r.id)) return data.routines.map(r => r.id);
+  return [];
+}
+
+/**
+ * Render a command result for a terminal
+ * Commands returning a session or routine get its card or line.
+ * @param {object} options - { color: boolean, quiet: boolean }
+ * @returns {string} - Newline-terminated, or empty
+ */
+export function renderHuman(command, data, options = {}) {
+  if (options.quiet) {
+    // Only the ids, one per line, so the output can feed other commands
+    const ids = primaryIds(data);
+    return ids.length > 0 ? `${ids.join('\n')}\n` : '';
+  }
+
+  const style = styler(options.color);
+  let lines;
+  if (RENDERERS[command]) {
+    lines = RENDERERS[command](data, style);
+  } else if (data.session) {
+    lines = sessionCard(data.session, style);
+  } else if (data.routine) {
+    lines = [routineLine(data.routine, style)];
+  } else {
+    lines = [JSON.stringify(data, null, 2)];
+  }
+  return `${lines.join('\n')}\n`;
+}
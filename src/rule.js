@@ -0,0 +1,180 @@
+/**
+ * Rule DSL for routine-cli
+ *
+ * Grammar (whitespace between tokens is allowed):
+ *   rule       := period comparator quantity
+ *   period     := 'daily' | 'weekly' | 'monthly' | weekday (',' weekday)*
+ *   weekday    := 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat' | 'sun'
+ *   comparator := '>=' | '<=' | '=='
+ *   quantity   := duration | count
+ *   duration   := NhNmNs (see parseDuration, e.g. 30m, 1h30m)
+ *   count      := N ('x' | 'session' | 'sessions')
+ *
+ * Examples: daily>=30m, weekly>=3h, mon,wed,fri>=45m, daily<=2h, weekly>=3x
+ */
+
+import { parseDuration } from './time.js';
+
+export const PERIODS = ['daily', 'weekly', 'monthly'];
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+export const COMPARATORS = ['>=', '<=', '=='];
+
+const COUNT_UNITS = ['x', 'session', 'sessions'];
+
+/**
+ * Parse a rule string into an AST
+ * @param {string} rule - Rule string (e.g., "daily>=30m")
+ * @returns {{valid: boolean, ast?: object, error?: string, position?: number}}
+ */
+export function parseRule(rule) {
+  if (!rule || typeof rule !== 'string') {
+    return { valid: false, error: 'rule is required', position: 0 };
+  }
+
+  let pos = 0;
+  const fail = (expected, at = pos) => ({ valid: false, error: `expected ${expected}`, position: at });
+  const skipSpaces = () => {
+    while (pos < rule.length && rule[pos] === ' ') pos++;
+  };
+  const readWord = () => {
+    const begin = pos;
+    while (pos < rule.length && /[a-z]/.test(rule[pos])) pos++;
+    return rule.slice(begin, pos);
+  };
+
+  // period
+  skipSpaces();
+  let wordStart = pos;
+  let word = readWord();
+  let period;
+  if (PERIODS.includes(word)) {
+    period = { type: word };
+  } else if (WEEKDAYS.includes(word)) {
+    const days = [word];
+    while (rule[pos] === ',') {
+      pos++;
+      wordStart = pos;
+      word = readWord();
+      if (!WEEKDAYS.includes(word)) {
+        return fail(`weekday (${WEEKDAYS.join(', ')})`, wordStart);
+      }
+      if (days.includes(word)) {
+        return { valid: false, error: `duplicate weekday: ${word}`, position: wordStart };
+      }
+      days.push(word);
+    }
+    days.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+    period = { type: 'weekdays', days };
+  } else {
+    return fail('period (daily, weekly, monthly or weekdays like mon,wed,fri)', wordStart);
+  }
+
+  // comparator
+  skipSpaces();
+  const comparator = rule.slice(pos, pos + 2);
+  if (!COMPARATORS.includes(comparator)) {
+    return fail(`comparator (${COMPARATORS.join(', ')})`);
+  }
+  pos += 2;
+
+  // quantity
+  skipSpaces();
+  const quantityStart = pos;
+  if (!/[0-9]/.test(rule[pos] || '')) {
+    return fail('a number');
+  }
+  let isCount = false;
+  while (pos < rule.length && rule[pos] !== ' ') {
+    const digitsStart = pos;
+    while (/[0-9]/.test(rule[pos] || '')) pos++;
+    if (pos === digitsStart) {
+      return fail('a number');
+    }
+    const unitStart = pos;
+    const unit = readWord();
+    if (COUNT_UNITS.includes(unit) && digitsStart === quantityStart) {
+      isCount = true;
+      break;
+    }
+    if (!['h', 'm', 's'].includes(unit)) {
+      return fail('unit (h, m, s for durations or x for session counts)', unitStart);
+    }
+  }
+  const quantity = rule.slice(quantityStart, pos);
+
+  let target;
+  if (isCount) {
+    target = { unit: 'sessions', value: parseInt(quantity, 10) };
+  } else {
+    const duration = parseDuration(quantity);
+    if (!duration.valid) {
+      return { valid: false, error: duration.error, position: quantityStart };
+    }
+    target = { unit: 'seconds', value: duration.seconds };
+  }
+
+  skipSpaces();
+  if (pos < rule.length) {
+    return fail('end of rule');
+  }
+
+  return { valid: true, ast: { period, comparator, target } };
+}
+
+/**
+ * Whether a rule expects progress on a date (weekday rules skip other days)
+ * @param {object} ast - Parsed rule
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isScheduledDay(ast, date) {
+  if (ast.period.type !== 'weekdays') {
+    return true;
+  }
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return ast.period.days.includes(WEEKDAYS[(day + 6) % 7]);
+}
+
+/**
+ * Evaluate progress against a parsed rule
+ * @param {object} ast - Parsed rule
+ * @param {{activeSeconds: number, sessionsCount: number}} totals - Achieved totals for the window
+ * @param {boolean} closed - Whether the evaluation window has ended
+ * @returns {'met'|'missed'|'pending'}
+ */
+export function evaluateRule(ast, totals, closed) {
+  const achieved = ast.target.unit === 'sessions' ? totals.sessionsCount : totals.activeSeconds;
+  const target = ast.target.value;
+
+  switch (ast.comparator) {
+    case '>=':
+      if (achieved >= target) return 'met';
+      return closed ? 'missed' : 'pending';
+    case '<=':
+      if (achieved > target) return 'missed';
+      return closed ? 'met' : 'pending';
+    default:
+      if (achieved > target) return 'missed';
+      if (!closed) return 'pending';
+      return achieved === target ? 'met' : 'missed';
+  }
+}
+
+/**
+ * Progress towards a rule target
+ * @param {object} ast - Parsed rule
+ * @param {{activeSeconds: number, sessionsCount: number}} totals - Achieved totals for the window
+ * @param {boolean} closed - Whether the evaluation window has ended
+ * @returns {{unit: string, comparator: string, target: number, achieved: number, remaining: number, status: string}}
+ */
+export function ruleProgress(ast, totals, closed) {
+  const achieved = ast.target.unit === 'sessions' ? totals.sessionsCount : totals.activeSeconds;
+  return {
+    unit: ast.target.unit,
+    comparator: ast.comparator,
+    target: ast.target.value,
+    achieved,
+    remaining: Math.max(0, ast.target.value - achieved),
+    status: evaluateRule(ast, totals, closed)
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Session tags for routine-cli
+ * A tag is text without surrounding whitespace, control characters or ';',
+ * which separates tags in csv/tsv output and in the csv importer.
+ */
+
+import { CLIError, ERR_INVALID_ARGS } from './errors.js';
+
+/**
+ * Why a tag is invalid
+ * @returns {string|null} - null for a valid tag
+ */
+export function tagError(tag) {
+  if (typeof tag !== 'string' || tag === '') {
+    return 'tag is empty';
+  }
+  if (tag.trim() !== tag) {
+    return 'tag has surrounding whitespace';
+  }
+  if ([...tag].some(char => char.charCodeAt(0) < 32 || char.charCodeAt(0) === 127)) {
+    return 'tag has control characters';
+  }
+  if (tag.includes(';')) {
+    return "tag contains ';'";
+  }
+  return null;
+}
+
+/**
+ * Refuse --tag values that are not valid tags
+ */
+export function validateTags(tags) {
+  for (const tag of tags) {
+    const error = tagError(tag);
+    if (error) {
+      throw new CLIError(ERR_INVALID_ARGS, `invalid --tag ${JSON.stringify(tag)}: ${error}`, { tag });
+    }
+  }
+}
@@ -128,31 +128,111 @@ export function getDateInTz(ts, tz) {
   return formatter.format(date); // Returns YYYY-MM-DD format
 }
 
+/**
+ * Check that a string is an IANA timezone known to Intl
+ * @param {string} tz
+ * @returns {boolean}
+ */
+export function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add days to a date string (YYYY-MM-DD)
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return d.toISOString().slice(0, 10);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cached formatters for timezone offset lookups (one per zone)
+ */
+const offsetFormatters = new Map();
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} tz - IANA timezone
+ * @returns {number} - Offset in milliseconds (local - UTC)
+ */
+function getTzOffset(instant, tz) {
+  let formatter = offsetFormatters.get(tz);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    offsetFormatters.set(tz, formatter);
+  }
+
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(instant))) {
+    parts[part.type] = Number(part.value);
+  }
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to an instant
+ * Times inside a DST gap resolve forward by the gap length (02:30 -> 03:30);
+ * times inside a DST overlap resolve to the earlier instant.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM[:SS]
+ * @param {string} tz - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToInstant(date, time, tz) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offsets a day either side bracket any transition affecting this wall-clock time
+  const earlierOffset = getTzOffset(localAsUtc - DAY_MS, tz);
+  const laterOffset = getTzOffset(localAsUtc + DAY_MS, tz);
+
+  const candidates = [localAsUtc - earlierOffset, localAsUtc - laterOffset]
+    .filter(instant => instant + getTzOffset(instant, tz) === localAsUtc)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    return new Date(candidates[0]);
+  }
+
+  // Gap: the wall-clock time never happens; read it with the pre-transition offset
+  return new Date(localAsUtc - earlierOffset);
+}
+
 /**
  * Get day boundaries (start/end) for a date in specified timezone
+ * Days are 23 or 25 hours long across DST transitions.
  * @param {string} date - YYYY-MM-DD
  * @param {string} tz - IANA timezone
- * @returns {{start: Date, end: Date}}
+ * @returns {{start: Date, end: Date}} - end is the start of the next day
  */
 export function getDayBoundaries(date, tz) {
-  // Create date at midnight in the specified timezone
-  const [year, month, day] = date.split('-').map(Number);
-  
-  // Use a reference date-time to find the UTC offset
-  const refStr = `${date}T00:00:00`;
-  const options = { timeZone: tz, hour12: false, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' };
-  
-  // Create date assuming local timezone first, then adjust
-  // This is a simplified approach - for production, use a proper library
-  const localDate = new Date(`${date}T00:00:00`);
-  const utcDate = new Date(localDate.toLocaleString('en-US', { timeZone: 'UTC' }));
-  const tzDate = new Date(localDate.toLocaleString('en-US', { timeZone: tz }));
-  const offset = utcDate.getTime() - tzDate.getTime();
-  
-  const start = new Date(localDate.getTime() + offset);
-  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
-  
-  return { start, end };
+  return {
+    start: zonedTimeToInstant(date, '00:00:00', tz),
+    end: zonedTimeToInstant(addDays(date, 1), '00:00:00', tz)
+  };
 }
 
 /**
@@ -0,0 +1,5 @@
+/**
+ * CLI version, reported by --version and recorded in the audit log
+ */
+
+export const VERSION = '0.1.0';
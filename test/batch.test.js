@@ -0,0 +1,49 @@
+/**
+ * Unit tests for batch line parsing
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseBatchLine } from '../src/batch.js';
+
+const DEFAULTS = {
+  command: null, subcommand: null, format: 'human', db: 'default.sqlite3', tz: null,
+  session: null, ts: null, asOf: null, tag: [], force: false, atomic: false, idempotencyKey: null
+};
+const BATCH_ARGS = { ...DEFAULTS, command: 'batch', db: 'batch.sqlite3', tz: 'Asia/Seoul', atomic: true, idempotencyKey: 'k' };
+
+describe('batch', () => {
+  test('a line sets options over the defaults batch was given', () => {
+    const args = parseBatchLine('{"command":"pause","session":"ses_A","ts":"2026-02-01T09:00:00Z"}', DEFAULTS, BATCH_ARGS);
+    assert.strictEqual(args.command, 'pause');
+    assert.strictEqual(args.session, 'ses_A');
+    assert.strictEqual(args.tz, 'Asia/Seoul');
+    assert.strictEqual(args.db, 'default.sqlite3');
+    assert.strictEqual(args.atomic, false);
+    assert.strictEqual(args.idempotencyKey, null);
+  });
+
+  test('kebab-case keys, single repeatable values and booleans', () => {
+    const args = parseBatchLine('{"command":"rm","as-of":"2026-02-01T09:00:00Z","tag":"focus","force":true}', DEFAULTS, DEFAULTS);
+    assert.strictEqual(args.asOf, '2026-02-01T09:00:00Z');
+    assert.deepStrictEqual(args.tag, ['focus']);
+    assert.strictEqual(args.force, true);
+  });
+
+  test('malformed lines are refused', () => {
+    const refused = [
+      ['{"command":', /invalid JSON/],
+      ['["pause"]', /must be a JSON object/],
+      ['{"session":"ses_A"}', /command is required/],
+      ['{"command":"pause","sesion":"ses_A"}', /unknown option: sesion/],
+      ['{"command":"pause","db":"other.sqlite3"}', /only be given to batch itself/],
+      ['{"command":"rm","force":"yes"}', /must be true or false/],
+      ['{"command":"start","tag":[1]}', /list of strings/],
+      ['{"command":"db","subcommand":"migrate"}', /only be given to batch itself/],
+      ['{"command":"batch"}', /cannot run in a batch/]
+    ];
+    for (const [line, message] of refused) {
+      assert.throws(() => parseBatchLine(line, DEFAULTS, DEFAULTS), err => err.code === 'ERR_INVALID_ARGS' && message.test(err.message), line);
+    }
+  });
+});
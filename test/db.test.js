@@ -0,0 +1,188 @@
+/**
+ * Tests for the database layer: transactions, persistence and locking
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, existsSync, readFileSync, readdirSync, statSync, writeFileSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import initSqlJs from 'sql.js';
+import { initDb } from '../src/db.js';
+import { reclaimStale } from '../src/lock.js';
+import { resolveDriver } from '../src/drivers/index.js';
+import * as betterSqlite3 from '../src/drivers/better-sqlite3.js';
+import * as sqljs from '../src/drivers/sqljs.js';
+import { CLIError } from '../src/errors.js';
+
+const INSERT_ROUTINE = `
+  INSERT INTO routines (id, name, tz, rule, created_at, archived_at)
+  VALUES (?, ?, 'UTC', 'daily>=30m', '2026-01-31T09:00:00Z', NULL)
+`;
+
+async function routinesOnDisk(dbPath) {
+  const SQL = await initSqlJs();
+  const fileDb = new SQL.Database(readFileSync(dbPath));
+  const result = fileDb.exec('SELECT id FROM routines ORDER BY id');
+  fileDb.close();
+  return result.length ? result[0].values.map(v => v[0]) : [];
+}
+
+// Persistence assertions read the file mid-transaction, which is only
+// meaningful for the in-memory sql.js driver
+const SQLJS = { driver: 'sqljs' };
+
+describe('DatabaseWrapper.transaction', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'routine-cli-db-'));
+    dbPath = join(tmpDir, 'test.sqlite3');
+  });
+
+  afterEach(() => {
+    if (tmpDir && existsSync(tmpDir)) {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('persists once, on commit', async () => {
+    const db = await initDb(dbPath, SQLJS);
+    const onDiskDuring = [];
+
+    db.transaction(() => {
+      db.prepare(INSERT_ROUTINE).run('rtn_A', 'A');
+      db.prepare(INSERT_ROUTINE).run('rtn_B', 'B');
+      onDiskDuring.push(readFileSync(dbPath));
+    });
+
+    const SQL = await initSqlJs();
+    const during = new SQL.Database(onDiskDuring[0]);
+    assert.strictEqual(during.exec('SELECT id FROM routines').length, 0);
+    during.close();
+    assert.deepStrictEqual(await routinesOnDisk(dbPath), ['rtn_A', 'rtn_B']);
+    db.close();
+  });
+
+  test('rolls back every change on a CLIError', async () => {
+    const db = await initDb(dbPath, SQLJS);
+
+    assert.throws(() => db.transaction(() => {
+      db.prepare(INSERT_ROUTINE).run('rtn_A', 'A');
+      db.transaction(() => db.prepare(INSERT_ROUTINE).run('rtn_B', 'B'));
+      throw new CLIError('ERR_TEST', 'boom');
+    }), CLIError);
+
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as n FROM routines').get().n, 0);
+    db.close();
+    assert.deepStrictEqual(await routinesOnDisk(dbPath), []);
+  });
+
+  test('read-only work does not rewrite the file', async () => {
+    const db = await initDb(dbPath, SQLJS);
+    db.close();
+    const before = statSync(dbPath).mtimeMs;
+
+    const reopened = await initDb(dbPath, SQLJS);
+    reopened.transaction(() => reopened.prepare('SELECT * FROM routines').all());
+    reopened.close();
+    assert.strictEqual(statSync(dbPath).mtimeMs, before);
+  });
+});
+
+describe('database lock', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'routine-cli-db-'));
+    dbPath = join(tmpDir, 'test.sqlite3');
+  });
+
+  afterEach(() => {
+    if (tmpDir && existsSync(tmpDir)) {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('is held until close and leaves no files behind', async () => {
+    const db = await initDb(dbPath);
+    assert.ok(existsSync(`${dbPath}.lock`));
+
+    await assert.rejects(initDb(dbPath, { lockTimeout: 50 }), err => err.code === 'ERR_DB_LOCKED' && err.exitCode === 6);
+
+    db.transaction(() => db.prepare(INSERT_ROUTINE).run('rtn_A', 'A'));
+    db.close();
+    assert.deepStrictEqual(readdirSync(tmpDir), ['test.sqlite3']);
+
+    const reopened = await initDb(dbPath, { lockTimeout: 50 });
+    reopened.close();
+  });
+
+  test('reclaims a lock whose owner has exited', async () => {
+    writeFileSync(`${dbPath}.lock`, JSON.stringify({ pid: 999999999, acquiredAt: '2026-01-31T09:00:00Z' }));
+    const db = await initDb(dbPath, { lockTimeout: 50 });
+    assert.strictEqual(JSON.parse(readFileSync(`${dbPath}.lock`, 'utf8')).pid, process.pid);
+    db.close();
+    assert.deepStrictEqual(readdirSync(tmpDir), ['test.sqlite3']);
+  });
+
+  test('reclaims an unreadable lock only once it is old', async () => {
+    writeFileSync(`${dbPath}.lock`, '{"pid":');
+    await assert.rejects(initDb(dbPath, { lockTimeout: 50 }), err => err.code === 'ERR_DB_LOCKED');
+
+    const old = new Date(Date.now() - 60000);
+    utimesSync(`${dbPath}.lock`, old, old);
+    const db = await initDb(dbPath, { lockTimeout: 50 });
+    db.close();
+    assert.deepStrictEqual(readdirSync(tmpDir), ['test.sqlite3']);
+  });
+
+  test('leaves a lock alone that was taken after it was judged stale', () => {
+    // A process saw a dead owner, then another process took the lock before the reclaim ran
+    const live = JSON.stringify({ pid: process.pid, acquiredAt: '2026-01-31T09:00:00Z' });
+    writeFileSync(`${dbPath}.lock`, live);
+    const { ino } = statSync(`${dbPath}.lock`);
+
+    assert.strictEqual(reclaimStale(`${dbPath}.lock`), false);
+    assert.strictEqual(readFileSync(`${dbPath}.lock`, 'utf8'), live);
+    assert.strictEqual(statSync(`${dbPath}.lock`).ino, ino);
+    assert.deepStrictEqual(readdirSync(tmpDir), ['test.sqlite3.lock']);
+  });
+
+  test('reclaims one process at a time', async () => {
+    writeFileSync(`${dbPath}.lock`, JSON.stringify({ pid: 999999999, acquiredAt: '2026-01-31T09:00:00Z' }));
+    writeFileSync(`${dbPath}.lock.reclaim`, JSON.stringify({ pid: process.pid, acquiredAt: '2026-01-31T09:00:00Z' }));
+    await assert.rejects(initDb(dbPath, { lockTimeout: 50 }), err => err.code === 'ERR_DB_LOCKED');
+    assert.strictEqual(JSON.parse(readFileSync(`${dbPath}.lock`, 'utf8')).pid, 999999999);
+
+    // A reclaim lock left by a process that died is cleared too
+    writeFileSync(`${dbPath}.lock.reclaim`, JSON.stringify({ pid: 999999999, acquiredAt: '2026-01-31T09:00:00Z' }));
+    const db = await initDb(dbPath, { lockTimeout: 50 });
+    db.close();
+    assert.deepStrictEqual(readdirSync(tmpDir), ['test.sqlite3']);
+  });
+});
+
+describe('storage drivers', () => {
+  // The package imports fine but its native addon fails on first open, as with a wrong Node.js ABI
+  const brokenAddon = async () => ({
+    default: class {
+      constructor() {
+        throw new Error('The module was compiled against a different Node.js version');
+      }
+    }
+  });
+
+  test('better-sqlite3 is unavailable when its native addon cannot load', async () => {
+    assert.strictEqual(await betterSqlite3.isAvailable(brokenAddon), false);
+    assert.strictEqual(await betterSqlite3.isAvailable(() => Promise.reject(new Error('not installed'))), false);
+  });
+
+  test('auto falls back to the next driver when better-sqlite3 cannot load', async () => {
+    const broken = { ...betterSqlite3, isAvailable: () => betterSqlite3.isAvailable(brokenAddon) };
+    assert.strictEqual((await resolveDriver('auto', [broken, sqljs])).name, 'sqljs');
+    await assert.rejects(resolveDriver('better-sqlite3', [broken, sqljs]), err => err.code === 'ERR_DRIVER_UNAVAILABLE');
+  });
+});
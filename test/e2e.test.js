@@ -1,21 +1,26 @@
 /**
  * E2E/Integration tests for routine-cli
  * Tests: start->active->stop and multi-active sessions
+ * The suite runs once per storage driver available in this environment.
  */
 
 import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { execSync } from 'node:child_process';
-import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { exec, execSync } from 'node:child_process';
+import { mkdtempSync, rmSync, existsSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import initSqlJs from 'sql.js';
+import { availableDrivers } from '../src/drivers/index.js';
+import { MIGRATIONS } from '../src/migrations.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CLI = join(__dirname, '..', 'src', 'cli.js');
+const DRIVERS = await availableDrivers();
 
-function run(args, dbPath) {
-  const cmd = `node ${CLI} ${args} --db "${dbPath}" --format json`;
+function runCli(args, dbPath, driver) {
+  const cmd = `"${process.execPath}" ${CLI} ${args} --db "${dbPath}" --db-driver ${driver} --format json`;
   try {
     const output = execSync(cmd, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
     return { success: true, output: JSON.parse(output) };
@@ -28,272 +33,1488 @@ function run(args, dbPath) {
   }
 }
 
-describe('routine-cli E2E tests', () => {
-  let tmpDir;
-  let dbPath;
-
-  beforeEach(() => {
-    tmpDir = mkdtempSync(join(tmpdir(), 'routine-cli-test-'));
-    dbPath = join(tmpDir, 'test.sqlite3');
+function runCliAsync(args, dbPath, driver) {
+  const cmd = `"${process.execPath}" ${CLI} ${args} --db "${dbPath}" --db-driver ${driver} --format json`;
+  return new Promise(resolve => {
+    exec(cmd, { encoding: 'utf8' }, (err, stdout, stderr) => {
+      resolve({ success: !err, output: JSON.parse(stdout || '{}'), stderr, code: err ? err.code : 0 });
+    });
   });
+}
 
-  afterEach(() => {
-    if (tmpDir && existsSync(tmpDir)) {
-      rmSync(tmpDir, { recursive: true, force: true });
-    }
-  });
+// Runs without --format json, for the other output formats; input is written to stdin
+function runCliRaw(args, dbPath, driver, input = '') {
+  const cmd = `"${process.execPath}" ${CLI} ${args} --db "${dbPath}" --db-driver ${driver}`;
+  try {
+    return { code: 0, stdout: execSync(cmd, { encoding: 'utf8', input, stdio: ['pipe', 'pipe', 'pipe'] }), stderr: '' };
+  } catch (err) {
+    return { code: err.status, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+for (const driver of DRIVERS) {
+  describe(`routine-cli E2E tests (${driver})`, () => {
+    const run = (args, dbPath) => runCli(args, dbPath, driver);
+    const runAsync = (args, dbPath) => runCliAsync(args, dbPath, driver);
+    const runRaw = (args, dbPath, input) => runCliRaw(args, dbPath, driver, input);
 
-  describe('Basic routine CRUD', () => {
-    test('add routine', () => {
-      const result = run('add --name "Deep Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      assert.strictEqual(result.success, true);
-      assert.strictEqual(result.output.ok, true);
-      assert.ok(result.output.data.routine.id.startsWith('rtn_'));
-      assert.strictEqual(result.output.data.routine.name, 'Deep Work');
-      assert.strictEqual(result.output.data.routine.rule, 'daily>=30m');
+    let tmpDir;
+    let dbPath;
+
+    beforeEach(() => {
+      tmpDir = mkdtempSync(join(tmpdir(), 'routine-cli-test-'));
+      dbPath = join(tmpDir, 'test.sqlite3');
     });
 
-    test('list routines', () => {
-      run('add --name "Routine A" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      run('add --name "Routine B" --rule "daily>=10m" --ts 2026-01-31T09:01:00+09:00', dbPath);
-      
-      const result = run('list', dbPath);
-      assert.strictEqual(result.success, true);
-      assert.strictEqual(result.output.ok, true);
-      assert.strictEqual(result.output.data.routines.length, 2);
+    afterEach(() => {
+      if (tmpDir && existsSync(tmpDir)) {
+        rmSync(tmpDir, { recursive: true, force: true });
+      }
     });
 
-    test('show routine by name', () => {
-      run('add --name "My Routine" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+    describe('Basic routine CRUD', () => {
+      test('add routine', () => {
+        const result = run('add --name "Deep Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.output.ok, true);
+        assert.ok(result.output.data.routine.id.startsWith('rtn_'));
+        assert.strictEqual(result.output.data.routine.name, 'Deep Work');
+        assert.strictEqual(result.output.data.routine.rule, 'daily>=30m');
+        assert.strictEqual(result.output.meta.dbDriver, driver);
+      });
+
+      test('list routines', () => {
+        run('add --name "Routine A" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('add --name "Routine B" --rule "daily>=10m" --ts 2026-01-31T09:01:00+09:00', dbPath);
       
-      const result = run('show --routine "My Routine"', dbPath);
-      assert.strictEqual(result.success, true);
-      assert.strictEqual(result.output.ok, true);
-      assert.strictEqual(result.output.data.routine.name, 'My Routine');
-    });
+        const result = run('list', dbPath);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.output.ok, true);
+        assert.strictEqual(result.output.data.routines.length, 2);
+      });
 
-    test('add routine without --ts fails', () => {
-      const result = run('add --name "Test" --rule "daily>=5m"', dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_TS_REQUIRED');
-    });
-  });
+      test('show routine by name', () => {
+        run('add --name "My Routine" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+      
+        const result = run('show --routine "My Routine"', dbPath);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.output.ok, true);
+        assert.strictEqual(result.output.data.routine.name, 'My Routine');
+      });
+
+      test('add routine with an invalid rule fails with its position', () => {
+        const result = run('add --name "Test" --rule "daily>=3Om" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_RULE');
+        assert.strictEqual(result.output.error.details.position, 8);
+      });
+
+      test('show returns the parsed rule', () => {
+        run('add --name "Gym" --rule "mon,wed,fri>=45m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const result = run('show --routine "Gym"', dbPath);
+        assert.deepStrictEqual(result.output.data.routine.parsedRule, {
+          period: { type: 'weekdays', days: ['mon', 'wed', 'fri'] },
+          comparator: '>=',
+          target: { unit: 'seconds', value: 2700 }
+        });
+      });
 
-  describe('Session lifecycle: start->active->stop', () => {
-    test('start->active->stop flow', () => {
-      // Add routine
-      run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      
-      // Start session
-      const startResult = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      assert.strictEqual(startResult.success, true);
-      assert.strictEqual(startResult.output.ok, true);
-      const sessionId = startResult.output.data.session.id;
-      assert.ok(sessionId.startsWith('ses_'));
-      assert.strictEqual(startResult.output.data.session.status, 'running');
-      
-      // Check active sessions
-      const activeResult = run('active --as-of 2026-01-31T09:15:00+09:00', dbPath);
-      assert.strictEqual(activeResult.success, true);
-      assert.strictEqual(activeResult.output.ok, true);
-      assert.strictEqual(activeResult.output.data.sessions.length, 1);
-      assert.strictEqual(activeResult.output.data.sessions[0].id, sessionId);
-      assert.strictEqual(activeResult.output.data.sessions[0].status, 'running');
-      
-      // Stop session
-      const stopResult = run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath);
-      assert.strictEqual(stopResult.success, true);
-      assert.strictEqual(stopResult.output.ok, true);
-      assert.strictEqual(stopResult.output.data.session.status, 'stopped');
-      assert.strictEqual(stopResult.output.data.session.computed.activeSeconds, 1800); // 30 minutes
-      
-      // No active sessions after stop
-      const activeAfter = run('active', dbPath);
-      assert.strictEqual(activeAfter.output.data.sessions.length, 0);
+      test('add routine without --ts fails', () => {
+        const result = run('add --name "Test" --rule "daily>=5m"', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_TS_REQUIRED');
+      });
     });
 
-    test('start->pause->resume->stop flow', () => {
-      run('add --name "Focus" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+    describe('Session lifecycle: start->active->stop', () => {
+      test('start->active->stop flow', () => {
+        // Add routine
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      // Start
-      const startResult = run('start --routine "Focus" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const sessionId = startResult.output.data.session.id;
+        // Start session
+        const startResult = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(startResult.success, true);
+        assert.strictEqual(startResult.output.ok, true);
+        const sessionId = startResult.output.data.session.id;
+        assert.ok(sessionId.startsWith('ses_'));
+        assert.strictEqual(startResult.output.data.session.status, 'running');
       
-      // Pause at 09:10
-      const pauseResult = run(`pause --session "${sessionId}" --ts 2026-01-31T09:10:00+09:00`, dbPath);
-      assert.strictEqual(pauseResult.success, true);
-      assert.strictEqual(pauseResult.output.data.session.status, 'paused');
+        // Check active sessions
+        const activeResult = run('active --as-of 2026-01-31T09:15:00+09:00', dbPath);
+        assert.strictEqual(activeResult.success, true);
+        assert.strictEqual(activeResult.output.ok, true);
+        assert.strictEqual(activeResult.output.data.sessions.length, 1);
+        assert.strictEqual(activeResult.output.data.sessions[0].id, sessionId);
+        assert.strictEqual(activeResult.output.data.sessions[0].status, 'running');
       
-      // Resume at 09:15
-      const resumeResult = run(`resume --session "${sessionId}" --ts 2026-01-31T09:15:00+09:00`, dbPath);
-      assert.strictEqual(resumeResult.success, true);
-      assert.strictEqual(resumeResult.output.data.session.status, 'running');
+        // Stop session
+        const stopResult = run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath);
+        assert.strictEqual(stopResult.success, true);
+        assert.strictEqual(stopResult.output.ok, true);
+        assert.strictEqual(stopResult.output.data.session.status, 'stopped');
+        assert.strictEqual(stopResult.output.data.session.computed.activeSeconds, 1800); // 30 minutes
       
-      // Stop at 09:30
-      const stopResult = run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath);
-      assert.strictEqual(stopResult.success, true);
+        // No active sessions after stop
+        const activeAfter = run('active', dbPath);
+        assert.strictEqual(activeAfter.output.data.sessions.length, 0);
+      });
+
+      test('start->pause->resume->stop flow', () => {
+        run('add --name "Focus" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      // Total duration: 30 min, paused: 5 min, active: 25 min
-      assert.strictEqual(stopResult.output.data.session.computed.durationSeconds, 1800);
-      assert.strictEqual(stopResult.output.data.session.computed.pausedSeconds, 300);
-      assert.strictEqual(stopResult.output.data.session.computed.activeSeconds, 1500);
-    });
+        // Start
+        const startResult = run('start --routine "Focus" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = startResult.output.data.session.id;
+      
+        // Pause at 09:10
+        const pauseResult = run(`pause --session "${sessionId}" --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        assert.strictEqual(pauseResult.success, true);
+        assert.strictEqual(pauseResult.output.data.session.status, 'paused');
+      
+        // Resume at 09:15
+        const resumeResult = run(`resume --session "${sessionId}" --ts 2026-01-31T09:15:00+09:00`, dbPath);
+        assert.strictEqual(resumeResult.success, true);
+        assert.strictEqual(resumeResult.output.data.session.status, 'running');
+      
+        // Stop at 09:30
+        const stopResult = run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath);
+        assert.strictEqual(stopResult.success, true);
+      
+        // Total duration: 30 min, paused: 5 min, active: 25 min
+        assert.strictEqual(stopResult.output.data.session.computed.durationSeconds, 1800);
+        assert.strictEqual(stopResult.output.data.session.computed.pausedSeconds, 300);
+        assert.strictEqual(stopResult.output.data.session.computed.activeSeconds, 1500);
+      });
+
+      test('pause/resume events given in different offsets are ordered by instant', () => {
+        run('add --name "Focus" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = run('start --routine "Focus" --ts 2026-01-31T09:00:00+09:00', dbPath).output.data.session.id;
+        run(`pause --session "${sessionId}" --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        // As a string, 00:15Z sorts before the 09:10+09:00 pause it follows
+        const resumed = run(`resume --session "${sessionId}" --ts 2026-01-31T00:15:00Z`, dbPath);
+        assert.strictEqual(resumed.output.data.session.status, 'running');
+
+        const paused = run(`pause --session "${sessionId}" --ts 2026-01-31T00:20:00Z`, dbPath);
+        assert.strictEqual(paused.success, true);
+        assert.strictEqual(paused.output.data.session.status, 'paused');
+        const stopped = run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath).output.data.session;
+        assert.deepStrictEqual(stopped.pauses, [
+          { start: '2026-01-31T09:10:00+09:00', end: '2026-01-31T00:15:00Z' },
+          { start: '2026-01-31T00:20:00Z', end: '2026-01-31T09:30:00+09:00' }
+        ]);
+        assert.strictEqual(stopped.computed.pausedSeconds, 900);
+      });
 
-    test('session stop requires --session', () => {
-      run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      run('start --routine "Test" --ts 2026-01-31T09:00:00+09:00', dbPath);
+      test('session stop requires --session', () => {
+        run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('start --routine "Test" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      const result = run('stop --ts 2026-01-31T09:30:00+09:00', dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_SESSION_REQUIRED');
-      assert.ok(result.output.error.details.activeSessions.length > 0);
+        const result = run('stop --ts 2026-01-31T09:30:00+09:00', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_SESSION_REQUIRED');
+        assert.ok(result.output.error.details.activeSessions.length > 0);
+      });
+    });
+
+    describe('Backfill: log', () => {
+      test('log creates a stopped session with pauses', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const result = run('log --routine "Work" --start 2026-01-31T13:00:00+09:00 --end 2026-01-31T14:00:00+09:00 ' +
+          '--pause 2026-01-31T13:20:00+09:00/2026-01-31T13:30:00+09:00 --note "backfill" --tag focus ' +
+          '--ts 2026-01-31T18:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, true);
+        const session = result.output.data.session;
+        assert.ok(session.id.startsWith('ses_'));
+        assert.strictEqual(session.status, 'stopped');
+        assert.strictEqual(session.pauses.length, 1);
+        assert.strictEqual(session.computed.durationSeconds, 3600);
+        assert.strictEqual(session.computed.pausedSeconds, 600);
+        assert.strictEqual(session.computed.activeSeconds, 3000);
+        assert.strictEqual(session.note, 'backfill');
+        assert.deepStrictEqual(session.tags, ['focus']);
+        assert.deepStrictEqual(result.output.data.overlaps, []);
+      });
+
+      test('log rejects end before start', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const result = run('log --routine "Work" --start 2026-01-31T14:00:00+09:00 --end 2026-01-31T13:00:00+09:00 ' +
+          '--ts 2026-01-31T18:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_END_BEFORE_START');
+      });
+
+      test('log reports overlapping sessions of the same routine', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const first = run('log --routine "Work" --start 2026-01-31T13:00:00+09:00 --end 2026-01-31T14:00:00+09:00 ' +
+          '--ts 2026-01-31T18:00:00+09:00', dbPath);
+
+        const result = run('log --routine "Work" --start 2026-01-31T13:30:00+09:00 --end 2026-01-31T14:30:00+09:00 ' +
+          '--ts 2026-01-31T18:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.output.data.overlaps.length, 1);
+        assert.strictEqual(result.output.data.overlaps[0].id, first.output.data.session.id);
+      });
+    });
+
+    describe('Amend', () => {
+      test('amend end time, note and tags recomputes the session', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Work" --tag draft --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
+        run(`pause --session "${sessionId}" --ts 2026-01-31T09:20:00+09:00`, dbPath);
+        run(`stop --session "${sessionId}" --ts 2026-01-31T10:00:00+09:00`, dbPath);
+
+        const result = run(`amend --session "${sessionId}" --end 2026-01-31T09:30:00+09:00 --note "fixed" ` +
+          '--tag final --untag draft --ts 2026-01-31T18:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, true);
+        const session = result.output.data.session;
+        assert.strictEqual(session.end, '2026-01-31T09:30:00+09:00');
+        assert.strictEqual(session.computed.durationSeconds, 1800);
+        assert.strictEqual(session.computed.pausedSeconds, 600);
+        assert.strictEqual(session.note, 'fixed');
+        assert.deepStrictEqual(session.tags, ['final']);
+        assert.strictEqual(session.updatedAt, '2026-01-31T18:00:00+09:00');
+      });
+
+      test('tags with separators or surrounding spaces are rejected', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Work" --tag "a;b" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(start.output.error.code, 'ERR_INVALID_ARGS');
+        assert.deepStrictEqual(start.output.error.details, { tag: 'a;b' });
+        const log = run('log --routine "Work" --start 2026-01-31T09:00:00+09:00 --end 2026-01-31T10:00:00+09:00 ' +
+          '--tag " focus" --ts 2026-01-31T18:00:00+09:00', dbPath);
+        assert.strictEqual(log.output.error.code, 'ERR_INVALID_ARGS');
+        assert.deepStrictEqual(run('active', dbPath).output.data.sessions, []);
+      });
+
+      test('amend moves a session to another routine', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const other = run('add --name "Study" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const result = run(`amend --session "${start.output.data.session.id}" --routine "Study" --ts 2026-01-31T09:05:00+09:00`, dbPath);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.output.data.session.routineId, other.output.data.routine.id);
+        assert.strictEqual(result.output.data.session.routineName, 'Study');
+      });
+
+      test('amend start after a pause event fails', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
+        run(`pause --session "${sessionId}" --ts 2026-01-31T09:10:00+09:00`, dbPath);
+
+        const result = run(`amend --session "${sessionId}" --start 2026-01-31T09:15:00+09:00 --ts 2026-01-31T09:20:00+09:00`, dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_END_BEFORE_START');
+      });
+
+      test('amend end of an active session fails', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const result = run(`amend --session "${start.output.data.session.id}" --end 2026-01-31T09:30:00+09:00 --ts 2026-01-31T09:40:00+09:00`, dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_STATE');
+      });
+    });
+
+    describe('Soft delete: rm/restore', () => {
+      test('rm hides a session and restore brings it back', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
+        run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath);
+
+        const rm = run(`rm --session "${sessionId}" --ts 2026-01-31T10:00:00+09:00`, dbPath);
+        assert.strictEqual(rm.success, true);
+        assert.strictEqual(rm.output.data.session.deletedAt, '2026-01-31T10:00:00+09:00');
+
+        const hidden = run(`status --session "${sessionId}"`, dbPath);
+        assert.strictEqual(hidden.output.error.code, 'ERR_SESSION_NOT_FOUND');
+
+        const audit = run('status --include-deleted', dbPath);
+        assert.strictEqual(audit.output.data.sessions.length, 1);
+        assert.strictEqual(audit.output.data.sessions[0].id, sessionId);
+
+        const restore = run(`restore --session "${sessionId}" --ts 2026-01-31T10:05:00+09:00`, dbPath);
+        assert.strictEqual(restore.success, true);
+        assert.strictEqual(restore.output.data.session.deletedAt, null);
+
+        const visible = run(`status --session "${sessionId}"`, dbPath);
+        assert.strictEqual(visible.success, true);
+      });
+
+      test('rm of a running session requires --force', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
+
+        const result = run(`rm --session "${sessionId}" --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_STATE');
+
+        const forced = run(`rm --session "${sessionId}" --force --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        assert.strictEqual(forced.success, true);
+        assert.strictEqual(run('active', dbPath).output.data.sessions.length, 0);
+      });
     });
-  });
 
-  describe('Multi-active sessions', () => {
-    test('multiple active sessions allowed', () => {
-      // Add two routines
-      run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      run('add --name "Exercise" --rule "daily>=20m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+    describe('Routine lifecycle: edit/rename/archive', () => {
+      test('edit changes name, tz and rule and keeps rule history', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-28T08:00:00+09:00', dbPath);
+
+        const edit = run('edit --routine "Work" --rule "daily>=1h" --tz Europe/Berlin --ts 2026-01-30T08:00:00+09:00', dbPath);
+        assert.strictEqual(edit.success, true);
+        assert.deepStrictEqual(edit.output.data.changed, ['tz', 'rule']);
+        assert.strictEqual(edit.output.data.ruleEffectiveDate, '2026-01-30');
+
+        const rename = run('rename --routine "Work" --name "Deep Work" --ts 2026-01-30T09:00:00+09:00', dbPath);
+        assert.deepStrictEqual(rename.output.data.changed, ['name']);
+
+        const show = run('show --routine "Deep Work"', dbPath);
+        assert.strictEqual(show.output.data.routine.tz, 'Europe/Berlin');
+        assert.strictEqual(show.output.data.routine.rule, 'daily>=1h');
+        assert.deepStrictEqual(show.output.data.routine.rules.map(r => [r.effectiveDate, r.rule]), [
+          ['2026-01-28', 'daily>=30m'],
+          ['2026-01-30', 'daily>=1h']
+        ]);
+      });
+
+      test('past days are evaluated under the rule in effect then', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-28T08:00:00+09:00', dbPath);
+        for (const day of ['28', '29', '30']) {
+          run(`log --routine "Work" --start 2026-01-${day}T09:00:00+09:00 --end 2026-01-${day}T09:40:00+09:00 ` +
+            '--ts 2026-01-31T08:00:00+09:00', dbPath);
+        }
+        run('edit --routine "Work" --rule "daily>=1h" --ts 2026-01-30T08:00:00+09:00', dbPath);
+
+        const streak = run('streak --routine "Work" --as-of 2026-01-30T21:00:00+09:00', dbPath);
+        assert.deepStrictEqual(streak.output.data.windows.map(w => [w.rule, w.status]), [
+          ['daily>=30m', 'met'],
+          ['daily>=30m', 'met'],
+          ['daily>=1h', 'pending']
+        ]);
+
+        const past = run('today --routine "Work" --date 2026-01-29 --as-of 2026-01-30T21:00:00+09:00', dbPath);
+        assert.strictEqual(past.output.data.routines[0].goal.rule, 'daily>=30m');
+        assert.strictEqual(past.output.data.routines[0].goal.status, 'met');
+      });
+
+      test('a rule change mid-week starts a new window on the change date', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-02-02T08:00:00Z', dbPath);
+        run('edit --routine "Work" --rule "weekly>=2h" --ts 2026-02-04T08:00:00Z', dbPath);
+
+        const streak = run('streak --routine "Work" --as-of 2026-02-10T12:00:00Z', dbPath);
+        assert.deepStrictEqual(streak.output.data.windows.map(w => [w.start, w.end, w.rule]), [
+          ['2026-02-02', '2026-02-02', 'daily>=30m'],
+          ['2026-02-03', '2026-02-03', 'daily>=30m'],
+          ['2026-02-04', '2026-02-08', 'weekly>=2h'],
+          ['2026-02-09', '2026-02-15', 'weekly>=2h']
+        ]);
+      });
+
+      test('archived routines are refused unless --include-archived', () => {
+        const add = run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const archive = run('archive --routine "Work" --ts 2026-02-01T09:00:00+09:00', dbPath);
+        assert.strictEqual(archive.output.data.routine.archivedAt, '2026-02-01T09:00:00+09:00');
+
+        const start = run('start --routine "Work" --ts 2026-02-01T10:00:00+09:00', dbPath);
+        assert.strictEqual(start.code, 2);
+        assert.strictEqual(start.output.error.code, 'ERR_ROUTINE_ARCHIVED');
+
+        const byId = run(`start --routine ${add.output.data.routine.id} --include-archived --ts 2026-02-01T10:00:00+09:00`, dbPath);
+        assert.strictEqual(byId.success, true);
+
+        const today = run('today --date 2026-02-01 --as-of 2026-02-01T12:00:00+09:00', dbPath);
+        assert.deepStrictEqual(today.output.data.routines, []);
+
+        const again = run('archive --routine "Work" --ts 2026-02-01T11:00:00+09:00', dbPath);
+        assert.strictEqual(again.output.error.code, 'ERR_INVALID_STATE');
+
+        run('unarchive --routine "Work" --ts 2026-02-02T09:00:00+09:00', dbPath);
+        assert.strictEqual(run('show --routine "Work"', dbPath).output.data.routine.archivedAt, null);
+      });
+
+      test('an archived name can be reused', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('archive --routine "Work" --ts 2026-02-01T09:00:00+09:00', dbPath);
+        const added = run('add --name "Work" --rule "daily>=1h" --ts 2026-02-01T09:05:00+09:00', dbPath);
+
+        const show = run('show --routine "Work"', dbPath);
+        assert.strictEqual(show.output.data.routine.id, added.output.data.routine.id);
+        const both = run('show --routine "Work" --include-archived', dbPath);
+        assert.strictEqual(both.output.error.code, 'ERR_AMBIGUOUS_ROUTINE');
+      });
+
+      test('edit validates its input', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(run('edit --routine "Work" --ts 2026-02-01T09:00:00+09:00', dbPath).output.error.code, 'ERR_INVALID_ARGS');
+        assert.strictEqual(run('edit --routine "Work" --tz Mars/Olympus --ts 2026-02-01T09:00:00+09:00', dbPath).output.error.code,
+          'ERR_INVALID_ARGS');
+        assert.strictEqual(run('edit --routine "Work" --rule "daily>=" --ts 2026-02-01T09:00:00+09:00', dbPath).output.error.code,
+          'ERR_INVALID_RULE');
+        assert.strictEqual(run('edit --routine "Work" --name "X"', dbPath).output.error.code, 'ERR_TS_REQUIRED');
+      });
+    });
+
+    describe('Idempotency keys', () => {
+      test('replaying start returns the original session instead of a duplicate', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const first = run('start --routine "Work" --idempotency-key k1 --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const retry = run('start --routine "Work" --idempotency-key k1 --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(first.output.meta.replayed, false);
+        assert.strictEqual(retry.output.meta.replayed, true);
+        assert.deepStrictEqual(retry.output.data, first.output.data);
+
+        const active = run('active --as-of 2026-01-31T09:10:00+09:00', dbPath);
+        assert.strictEqual(active.output.data.sessions.length, 1);
+      });
+
+      test('replaying stop after the session moved on returns the original result', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath).output.data.session.id;
+
+        const stop = run(`stop --session ${sessionId} --idempotency-key stop-1 --ts 2026-01-31T09:30:00+09:00`, dbPath);
+        const retry = run(`stop --session ${sessionId} --idempotency-key stop-1 --ts 2026-01-31T09:30:00+09:00`, dbPath);
+        assert.strictEqual(retry.success, true);
+        assert.deepStrictEqual(retry.output.data, stop.output.data);
+      });
+
+      test('reusing a key with different arguments is a conflict', () => {
+        run('add --name "Work" --rule "daily>=30m" --idempotency-key add-1 --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const conflict = run('add --name "Work" --rule "daily>=1h" --idempotency-key add-1 --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(conflict.code, 4);
+        assert.strictEqual(conflict.output.error.code, 'ERR_IDEMPOTENCY_CONFLICT');
+        assert.strictEqual(conflict.output.error.details.command, 'add');
+        assert.strictEqual(run('list', dbPath).output.data.routines.length, 1);
+      });
+
+      test('keys are only accepted on add/start/pause/resume/stop', () => {
+        const result = run('list --idempotency-key k1', dbPath);
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_ARGS');
+      });
+    });
+
+    describe('Audit history', () => {
+      test('every mutation of a session is journaled with before/after snapshots', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = run('start --routine "Work" --tag focus --ts 2026-01-31T09:00:00+09:00', dbPath).output.data.session.id;
+        run(`pause --session ${sessionId} --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        run(`stop --session ${sessionId} --ts 2026-01-31T09:30:00+09:00`, dbPath);
+        run(`stop --session ${sessionId} --ts 2026-01-31T09:40:00+09:00`, dbPath);
+
+        const history = run(`history --session ${sessionId}`, dbPath);
+        assert.strictEqual(history.success, true);
+        const entries = history.output.data.entries;
+        assert.deepStrictEqual(entries.map(e => e.command), ['start', 'pause', 'stop']);
+        assert.deepStrictEqual(entries[0].args, { routine: 'Work', tag: ['focus'], ts: '2026-01-31T09:00:00+09:00' });
+        assert.strictEqual(entries[0].before, null);
+        assert.deepStrictEqual(entries[0].after.tags, ['focus']);
+        assert.deepStrictEqual(entries[1].after.events.map(e => e.type), ['pause']);
+        assert.strictEqual(entries[2].before.session.end_ts, null);
+        assert.strictEqual(entries[2].after.session.end_ts, '2026-01-31T09:30:00+09:00');
+        assert.ok(entries.every(e => e.cliVersion && e.entityId === sessionId));
+      });
+
+      test('routine history includes the routine and its sessions', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('skip --routine "Work" --date 2026-02-01 --reason "rest" --ts 2026-01-31T09:05:00+09:00', dbPath);
+        run('log --routine "Work" --start 2026-01-31T10:00:00+09:00 --end 2026-01-31T10:30:00+09:00 ' +
+          '--ts 2026-01-31T11:00:00+09:00', dbPath);
+        run('start --routine "Work" --idempotency-key s1 --ts 2026-01-31T12:00:00+09:00', dbPath);
+        run('start --routine "Work" --idempotency-key s1 --ts 2026-01-31T12:00:00+09:00', dbPath);
+
+        const history = run('history --routine "Work"', dbPath);
+        assert.deepStrictEqual(history.output.data.entries.map(e => [e.command, e.entityType]), [
+          ['add', 'routine'],
+          ['skip', 'routine'],
+          ['log', 'session'],
+          ['start', 'session']
+        ]);
+        assert.deepStrictEqual(history.output.data.entries[1].after.skips.map(s => s.date), ['2026-02-01']);
+      });
+
+      test('history requires --session or --routine', () => {
+        assert.strictEqual(run('history', dbPath).output.error.code, 'ERR_INVALID_ARGS');
+        assert.strictEqual(run('history --session ses_missing', dbPath).code, 3);
+      });
+    });
+
+    describe('Undo', () => {
+      function startWork() {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        return run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath).output.data.session.id;
+      }
+
+      test('undo walks back stop, pause and start in turn', () => {
+        const sessionId = startWork();
+        run(`pause --session ${sessionId} --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        run(`stop --session ${sessionId} --ts 2026-01-31T09:30:00+09:00`, dbPath);
+
+        const undoStop = run('undo --ts 2026-01-31T10:00:00+09:00', dbPath);
+        assert.strictEqual(undoStop.success, true);
+        assert.strictEqual(undoStop.output.data.undone.command, 'stop');
+        assert.strictEqual(undoStop.output.data.before.session.end_ts, '2026-01-31T09:30:00+09:00');
+        assert.strictEqual(undoStop.output.data.after.session.end_ts, null);
+        assert.strictEqual(run(`status --session ${sessionId} --as-of 2026-01-31T10:00:00+09:00`, dbPath).output.data.session.status, 'paused');
+
+        assert.strictEqual(run('undo --ts 2026-01-31T10:01:00+09:00', dbPath).output.data.undone.command, 'pause');
+        assert.strictEqual(run(`status --session ${sessionId} --as-of 2026-01-31T10:01:00+09:00`, dbPath).output.data.session.status, 'running');
+
+        const undoStart = run('undo --ts 2026-01-31T10:02:00+09:00', dbPath);
+        assert.strictEqual(undoStart.output.data.undone.command, 'start');
+        assert.strictEqual(undoStart.output.data.after, null);
+        assert.strictEqual(run(`status --session ${sessionId}`, dbPath).code, 3);
+
+        const history = run(`history --session ${sessionId}`, dbPath).output.data.entries;
+        assert.deepStrictEqual(history.map(e => e.command), ['start', 'pause', 'stop', 'undo', 'undo', 'undo']);
+        assert.strictEqual(history[2].undoneBy, history[3].id);
+        assert.strictEqual(history[3].undoes, history[2].id);
+      });
+
+      test('undoing a keyed start lets a retry with the key start again', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = 'start --routine "Work" --idempotency-key s1 --ts 2026-01-31T09:00:00+09:00';
+        const first = run(start, dbPath).output.data.session.id;
+
+        const undo = run('undo --ts 2026-01-31T09:05:00+09:00', dbPath);
+        assert.deepStrictEqual(undo.output.data.forgottenKeys, ['s1']);
+
+        const retry = run(start, dbPath);
+        assert.strictEqual(retry.output.meta.replayed, false);
+        assert.notStrictEqual(retry.output.data.session.id, first);
+        assert.deepStrictEqual(run('active', dbPath).output.data.sessions.map(s => s.id), [retry.output.data.session.id]);
+        assert.strictEqual(run(start, dbPath).output.meta.replayed, true);
+      });
+
+      test('undo by --id is refused while later changes depend on it', () => {
+        const sessionId = startWork();
+        run(`pause --session ${sessionId} --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        const [start] = run(`history --session ${sessionId}`, dbPath).output.data.entries;
+
+        const result = run(`undo --id ${start.id} --ts 2026-01-31T10:00:00+09:00`, dbPath);
+        assert.strictEqual(result.code, 4);
+        assert.strictEqual(result.output.error.code, 'ERR_UNDO_CONFLICT');
+        assert.deepStrictEqual(result.output.error.details.dependents.map(d => d.command), ['pause']);
+      });
+
+      test('a routine change can be undone after later sessions, but not after a session moved in', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('add --name "Read" --rule "daily>=15m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('edit --routine "Work" --rule "daily>=1h" --ts 2026-01-31T09:05:00+09:00', dbPath);
+        const edit = run('history --routine "Work"', dbPath).output.data.entries[1];
+        run('log --routine "Work" --start 2026-01-31T10:00:00+09:00 --end 2026-01-31T10:30:00+09:00 ' +
+          '--ts 2026-01-31T11:00:00+09:00', dbPath);
+
+        const undo = run(`undo --id ${edit.id} --ts 2026-01-31T12:00:00+09:00`, dbPath);
+        assert.strictEqual(undo.success, true);
+        assert.strictEqual(run('show --routine "Work"', dbPath).output.data.routine.rule, 'daily>=30m');
+
+        run('edit --routine "Work" --rule "daily>=2h" --ts 2026-01-31T12:05:00+09:00', dbPath);
+        const again = run('history --routine "Work"', dbPath).output.data.entries.find(e => e.command === 'edit' && !e.undoneBy);
+        const readLog = run('log --routine "Read" --start 2026-01-31T13:00:00+09:00 --end 2026-01-31T13:30:00+09:00 ' +
+          '--ts 2026-01-31T14:00:00+09:00', dbPath).output.data.session.id;
+        run(`amend --session ${readLog} --routine "Work" --ts 2026-01-31T14:05:00+09:00`, dbPath);
+
+        const refused = run(`undo --id ${again.id} --ts 2026-01-31T15:00:00+09:00`, dbPath);
+        assert.strictEqual(refused.output.error.code, 'ERR_UNDO_CONFLICT');
+        assert.deepStrictEqual(refused.output.error.details.dependents.map(d => [d.command, d.entityId]), [['amend', readLog]]);
+      });
+
+      test('undoing a routine with sessions is refused', () => {
+        startWork();
+        const [add] = run('history --routine "Work"', dbPath).output.data.entries;
+        assert.strictEqual(run(`undo --id ${add.id} --ts 2026-01-31T10:00:00+09:00`, dbPath).output.error.code, 'ERR_UNDO_CONFLICT');
+      });
+
+      test('undo requires --ts and something to undo', () => {
+        assert.strictEqual(run('undo', dbPath).output.error.code, 'ERR_TS_REQUIRED');
+        const empty = run('undo --ts 2026-01-31T10:00:00+09:00', dbPath);
+        assert.strictEqual(empty.code, 3);
+        assert.strictEqual(empty.output.error.code, 'ERR_AUDIT_NOT_FOUND');
+        assert.strictEqual(run('undo --id aud_missing --ts 2026-01-31T10:00:00+09:00', dbPath).code, 3);
+      });
+    });
+
+    describe('Multi-active sessions', () => {
+      test('multiple active sessions allowed', () => {
+        // Add two routines
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('add --name "Exercise" --rule "daily>=20m" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      // Start both
-      const work = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const exercise = run('start --routine "Exercise" --ts 2026-01-31T09:05:00+09:00', dbPath);
+        // Start both
+        const work = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const exercise = run('start --routine "Exercise" --ts 2026-01-31T09:05:00+09:00', dbPath);
       
-      assert.strictEqual(work.success, true);
-      assert.strictEqual(exercise.success, true);
+        assert.strictEqual(work.success, true);
+        assert.strictEqual(exercise.success, true);
       
-      // Both should be active
-      const active = run('active --as-of 2026-01-31T09:10:00+09:00', dbPath);
-      assert.strictEqual(active.output.data.sessions.length, 2);
+        // Both should be active
+        const active = run('active --as-of 2026-01-31T09:10:00+09:00', dbPath);
+        assert.strictEqual(active.output.data.sessions.length, 2);
       
-      // Sessions are sorted by start time
-      assert.strictEqual(active.output.data.sessions[0].routineName, 'Work');
-      assert.strictEqual(active.output.data.sessions[1].routineName, 'Exercise');
-    });
+        // Sessions are sorted by start time
+        assert.strictEqual(active.output.data.sessions[0].routineName, 'Work');
+        assert.strictEqual(active.output.data.sessions[1].routineName, 'Exercise');
+      });
 
-    test('same routine can have multiple active sessions', () => {
-      run('add --name "Deep Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+      test('same routine can have multiple active sessions', () => {
+        run('add --name "Deep Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      // Start two sessions for same routine
-      const s1 = run('start --routine "Deep Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const s2 = run('start --routine "Deep Work" --ts 2026-01-31T09:30:00+09:00', dbPath);
+        // Start two sessions for same routine
+        const s1 = run('start --routine "Deep Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const s2 = run('start --routine "Deep Work" --ts 2026-01-31T09:30:00+09:00', dbPath);
       
-      assert.strictEqual(s1.success, true);
-      assert.strictEqual(s2.success, true);
-      assert.notStrictEqual(s1.output.data.session.id, s2.output.data.session.id);
+        assert.strictEqual(s1.success, true);
+        assert.strictEqual(s2.success, true);
+        assert.notStrictEqual(s1.output.data.session.id, s2.output.data.session.id);
       
-      // Both active
-      const active = run('active', dbPath);
-      assert.strictEqual(active.output.data.sessions.length, 2);
-    });
+        // Both active
+        const active = run('active', dbPath);
+        assert.strictEqual(active.output.data.sessions.length, 2);
+      });
 
-    test('pause/stop specific session in multi-active', () => {
-      run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      run('add --name "Exercise" --rule "daily>=20m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+      test('pause/stop specific session in multi-active', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('add --name "Exercise" --rule "daily>=20m" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      const work = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const exercise = run('start --routine "Exercise" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const work = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const exercise = run('start --routine "Exercise" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      const workId = work.output.data.session.id;
-      const exerciseId = exercise.output.data.session.id;
+        const workId = work.output.data.session.id;
+        const exerciseId = exercise.output.data.session.id;
       
-      // Pause only work
-      run(`pause --session "${workId}" --ts 2026-01-31T09:10:00+09:00`, dbPath);
+        // Pause only work
+        run(`pause --session "${workId}" --ts 2026-01-31T09:10:00+09:00`, dbPath);
       
-      // Check statuses
-      const status = run('active --as-of 2026-01-31T09:15:00+09:00', dbPath);
-      const workSession = status.output.data.sessions.find(s => s.id === workId);
-      const exerciseSession = status.output.data.sessions.find(s => s.id === exerciseId);
+        // Check statuses
+        const status = run('active --as-of 2026-01-31T09:15:00+09:00', dbPath);
+        const workSession = status.output.data.sessions.find(s => s.id === workId);
+        const exerciseSession = status.output.data.sessions.find(s => s.id === exerciseId);
       
-      assert.strictEqual(workSession.status, 'paused');
-      assert.strictEqual(exerciseSession.status, 'running');
+        assert.strictEqual(workSession.status, 'paused');
+        assert.strictEqual(exerciseSession.status, 'running');
       
-      // Stop only exercise
-      run(`stop --session "${exerciseId}" --ts 2026-01-31T09:20:00+09:00`, dbPath);
+        // Stop only exercise
+        run(`stop --session "${exerciseId}" --ts 2026-01-31T09:20:00+09:00`, dbPath);
       
-      // Only work should be active
-      const activeAfter = run('active', dbPath);
-      assert.strictEqual(activeAfter.output.data.sessions.length, 1);
-      assert.strictEqual(activeAfter.output.data.sessions[0].id, workId);
+        // Only work should be active
+        const activeAfter = run('active', dbPath);
+        assert.strictEqual(activeAfter.output.data.sessions.length, 1);
+        assert.strictEqual(activeAfter.output.data.sessions[0].id, workId);
+      });
     });
-  });
 
-  describe('Error handling', () => {
-    test('invalid RFC3339 timestamp', () => {
-      run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+    describe('Error handling', () => {
+      test('invalid RFC3339 timestamp', () => {
+        run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      // Missing timezone
-      const result = run('start --routine "Test" --ts 2026-01-31T09:00:00', dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_INVALID_TIME_FORMAT');
-    });
+        // Missing timezone
+        const result = run('start --routine "Test" --ts 2026-01-31T09:00:00', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_TIME_FORMAT');
+      });
 
-    test('routine not found', () => {
-      const result = run('start --routine "NonExistent" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_ROUTINE_NOT_FOUND');
-    });
+      test('routine not found', () => {
+        const result = run('start --routine "NonExistent" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_ROUTINE_NOT_FOUND');
+      });
 
-    test('session not found', () => {
-      const result = run('stop --session "ses_invalid" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_SESSION_NOT_FOUND');
-    });
+      test('session not found', () => {
+        const result = run('stop --session "ses_invalid" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_SESSION_NOT_FOUND');
+      });
 
-    test('cannot pause already paused session', () => {
-      run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const start = run('start --routine "Test" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const sessionId = start.output.data.session.id;
+      test('cannot pause already paused session', () => {
+        run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Test" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
       
-      run(`pause --session "${sessionId}" --ts 2026-01-31T09:05:00+09:00`, dbPath);
-      const result = run(`pause --session "${sessionId}" --ts 2026-01-31T09:06:00+09:00`, dbPath);
+        run(`pause --session "${sessionId}" --ts 2026-01-31T09:05:00+09:00`, dbPath);
+        const result = run(`pause --session "${sessionId}" --ts 2026-01-31T09:06:00+09:00`, dbPath);
       
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_INVALID_STATE');
-    });
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_STATE');
+      });
 
-    test('cannot resume running session', () => {
-      run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const start = run('start --routine "Test" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const sessionId = start.output.data.session.id;
+      test('cannot resume running session', () => {
+        run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Test" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
       
-      const result = run(`resume --session "${sessionId}" --ts 2026-01-31T09:05:00+09:00`, dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_INVALID_STATE');
-    });
+        const result = run(`resume --session "${sessionId}" --ts 2026-01-31T09:05:00+09:00`, dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_STATE');
+      });
 
-    test('cannot stop before start', () => {
-      run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const start = run('start --routine "Test" --ts 2026-01-31T09:30:00+09:00', dbPath);
-      const sessionId = start.output.data.session.id;
+      test('cannot stop before start', () => {
+        run('add --name "Test" --rule "daily>=5m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const start = run('start --routine "Test" --ts 2026-01-31T09:30:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
       
-      const result = run(`stop --session "${sessionId}" --ts 2026-01-31T09:00:00+09:00`, dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_END_BEFORE_START');
-    });
+        const result = run(`stop --session "${sessionId}" --ts 2026-01-31T09:00:00+09:00`, dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.output.error.code, 'ERR_END_BEFORE_START');
+      });
 
-    test('stub commands return ERR_NOT_IMPLEMENTED', () => {
-      const result = run('streak --routine "Test" --as-of 2026-01-31', dbPath);
-      assert.strictEqual(result.success, false);
-      assert.strictEqual(result.output.error.code, 'ERR_NOT_IMPLEMENTED');
     });
-  });
 
-  describe('Today summary', () => {
-    test('today returns summary with sessions', () => {
-      run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+    describe('Today summary', () => {
+      test('today returns summary with sessions', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
       
-      const start = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
-      const sessionId = start.output.data.session.id;
-      run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath);
+        const start = run('start --routine "Work" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        const sessionId = start.output.data.session.id;
+        run(`stop --session "${sessionId}" --ts 2026-01-31T09:30:00+09:00`, dbPath);
       
-      const today = run('today --date 2026-01-31', dbPath);
-      assert.strictEqual(today.success, true);
-      assert.strictEqual(today.output.data.date, '2026-01-31');
-      assert.strictEqual(today.output.data.sessions.length, 1);
-      assert.strictEqual(today.output.data.totals.sessionsCount, 1);
-      assert.strictEqual(today.output.data.totals.activeSeconds, 1800);
+        const today = run('today --date 2026-01-31', dbPath);
+        assert.strictEqual(today.success, true);
+        assert.strictEqual(today.output.data.date, '2026-01-31');
+        assert.strictEqual(today.output.data.sessions.length, 1);
+        assert.strictEqual(today.output.data.totals.sessionsCount, 1);
+        assert.strictEqual(today.output.data.totals.activeSeconds, 1800);
+      });
+
+      test('sessions crossing midnight are split into local day buckets', () => {
+        run('add --name "Night" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-30T08:00:00+09:00', dbPath);
+        run('log --routine "Night" --start 2026-01-30T23:00:00+09:00 --end 2026-01-31T01:00:00+09:00 ' +
+          '--pause 2026-01-30T23:30:00+09:00/2026-01-31T00:15:00+09:00 --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const first = run('today --date 2026-01-30 --as-of 2026-02-01T00:00:00+09:00', dbPath);
+        const second = run('today --date 2026-01-31 --as-of 2026-02-01T00:00:00+09:00', dbPath);
+        const other = run('today --date 2026-02-01 --as-of 2026-02-01T12:00:00+09:00', dbPath);
+
+        const session = first.output.data.sessions[0];
+        assert.strictEqual(session.computed.durationSeconds, 7200);
+        assert.deepStrictEqual(session.contribution, {
+          start: '2026-01-30T14:00:00.000Z',
+          end: '2026-01-30T15:00:00.000Z',
+          durationSeconds: 3600,
+          pausedSeconds: 1800,
+          activeSeconds: 1800,
+          countsAsSession: true
+        });
+        assert.strictEqual(first.output.data.totals.activeSeconds, 1800);
+        // Counted once, on the day it started, as goals and report count it
+        assert.strictEqual(first.output.data.totals.sessionsCount, 1);
+        assert.strictEqual(second.output.data.sessions[0].contribution.countsAsSession, false);
+        assert.strictEqual(second.output.data.totals.sessionsCount, 0);
+        assert.strictEqual(second.output.data.routines[0].totals.sessionsCount, 0);
+        const report = run('report --start 2026-01-30 --end 2026-01-31 --as-of 2026-02-01T00:00:00+09:00', dbPath);
+        assert.deepStrictEqual(report.output.data.routines[0].buckets.map(b => b.totals.sessionsCount), [1, 0]);
+        assert.strictEqual(second.output.data.totals.durationSeconds, 3600);
+        assert.strictEqual(second.output.data.totals.pausedSeconds, 900);
+        assert.strictEqual(second.output.data.totals.activeSeconds, 2700);
+        assert.strictEqual(other.output.data.sessions.length, 0);
+      });
+
+      test('day buckets follow DST transitions in the routine tz', () => {
+        run('add --name "Shift" --rule "daily>=1h" --tz America/New_York --ts 2026-03-01T09:00:00-05:00', dbPath);
+        run('log --routine "Shift" --start 2026-03-07T22:00:00-05:00 --end 2026-03-09T02:00:00-04:00 ' +
+          '--ts 2026-03-09T09:00:00-04:00', dbPath);
+
+        const today = run('today --date 2026-03-08 --as-of 2026-03-10T00:00:00-04:00', dbPath);
+        assert.strictEqual(today.output.data.totals.durationSeconds, 23 * 3600);
+      });
+
+      test('today reports goal progress for every routine', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-31T08:00:00+09:00', dbPath);
+        run('add --name "Read" --rule "daily>=20m" --tz Asia/Seoul --ts 2026-01-31T08:00:00+09:00', dbPath);
+        run('add --name "Walk" --rule "daily>=1h" --tz Asia/Seoul --ts 2026-01-31T08:00:00+09:00', dbPath);
+        run('skip --routine "Walk" --date 2026-01-31 --reason "rain" --ts 2026-01-31T08:00:00+09:00', dbPath);
+        run('log --routine "Work" --start 2026-01-31T09:00:00+09:00 --end 2026-01-31T09:40:00+09:00 ' +
+          '--ts 2026-01-31T10:00:00+09:00', dbPath);
+
+        const today = run('today --date 2026-01-31 --as-of 2026-01-31T12:00:00+09:00', dbPath);
+        const goals = Object.fromEntries(today.output.data.routines.map(r => [r.routineName, r.goal]));
+        assert.deepStrictEqual(Object.keys(goals), ['Read', 'Walk', 'Work']);
+        assert.deepStrictEqual(goals.Work, {
+          rule: 'daily>=30m',
+          window: { start: '2026-01-31', end: '2026-01-31' },
+          unit: 'seconds',
+          comparator: '>=',
+          target: 1800,
+          achieved: 2400,
+          remaining: 0,
+          status: 'met'
+        });
+        assert.strictEqual(goals.Read.status, 'pending');
+        assert.strictEqual(goals.Read.remaining, 1200);
+        assert.strictEqual(goals.Walk.status, 'skipped');
+
+        const later = run('today --date 2026-01-31 --as-of 2026-02-01T09:00:00+09:00', dbPath);
+        const read = later.output.data.routines.find(r => r.routineName === 'Read');
+        assert.strictEqual(read.goal.status, 'missed');
+        assert.strictEqual(read.totals.sessionsCount, 0);
+      });
+
+      test('routines with a legacy rule that does not parse have no goal', async () => {
+        // A version 1 database, from before --rule was validated
+        const SQL = await initSqlJs();
+        const legacy = new SQL.Database();
+        legacy.exec(MIGRATIONS[0].up);
+        legacy.exec(`INSERT OR REPLACE INTO schema_info (key, value) VALUES ('version', '1')`);
+        legacy.exec(`INSERT INTO routines (id, name, tz, rule, created_at, archived_at) VALUES
+          ('rtn_01LEGACY', 'Legacy', 'Asia/Seoul', 'dialy>=3Om', '2026-01-01T09:00:00+09:00', NULL)`);
+        writeFileSync(dbPath, legacy.export());
+        legacy.close();
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-01T09:00:00+09:00', dbPath);
+        run('log --routine "Legacy" --start 2026-01-31T09:00:00+09:00 --end 2026-01-31T09:20:00+09:00 ' +
+          '--ts 2026-01-31T10:00:00+09:00', dbPath);
+
+        const today = run('today --date 2026-01-31 --as-of 2026-01-31T12:00:00+09:00 --explain', dbPath);
+        assert.strictEqual(today.success, true);
+        const [legacyRow, work] = today.output.data.routines;
+        assert.strictEqual(legacyRow.goal, null);
+        assert.strictEqual(legacyRow.totals.activeSeconds, 1200);
+        assert.strictEqual(work.goal.status, 'pending');
+        assert.deepStrictEqual(today.output.data.explanation.goals.map(g => g.routineId), [work.routineId]);
+
+        const csv = runRaw('today --date 2026-01-31 --as-of 2026-01-31T12:00:00+09:00 --format csv', dbPath);
+        assert.strictEqual(csv.code, 0);
+        assert.match(csv.stdout, /,Legacy,Asia\/Seoul,1200,0,1200,1,,,,,,,,,\r?\n/);
+        const human = runRaw('today --date 2026-01-31 --as-of 2026-01-31T12:00:00+09:00', dbPath);
+        assert.strictEqual(human.code, 0);
+        assert.match(human.stdout, /Legacy .*no goal/);
+      });
+    });
+
+    describe('Report', () => {
+      const AS_OF = '--as-of 2026-02-20T00:00:00Z';
+
+      beforeEach(() => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('add --name "Read" --rule "weekly>=1h" --tz UTC --ts 2026-01-31T09:00:00Z', dbPath);
+        // Crosses local midnight in Seoul
+        run('log --routine "Work" --start 2026-02-01T23:30:00+09:00 --end 2026-02-02T00:30:00+09:00 --tag focus ' +
+          '--ts 2026-02-03T00:00:00+09:00', dbPath);
+        run('log --routine "Work" --start 2026-02-09T10:00:00+09:00 --end 2026-02-09T10:20:00+09:00 ' +
+          '--ts 2026-02-10T00:00:00+09:00', dbPath);
+        run('log --routine "Read" --start 2026-02-03T20:00:00Z --end 2026-02-03T21:00:00Z ' +
+          '--pause 2026-02-03T20:10:00Z/2026-02-03T20:20:00Z --ts 2026-02-04T00:00:00Z', dbPath);
+      });
+
+      test('day buckets split sessions at local midnight', () => {
+        const result = run(`report --start 2026-02-01 --end 2026-02-03 --routine "Work" ${AS_OF}`, dbPath);
+        assert.strictEqual(result.success, true);
+        const [work] = result.output.data.routines;
+        assert.deepStrictEqual(work.buckets.map(b => [b.start, b.totals.activeSeconds, b.totals.sessionsCount]), [
+          ['2026-02-01', 1800, 1],
+          ['2026-02-02', 1800, 0],
+          ['2026-02-03', 0, 0]
+        ]);
+        assert.strictEqual(work.totals.activeSeconds, 3600);
+      });
+
+      test('week buckets are clipped to the range and totalled across routines', () => {
+        const data = run(`report --start 2026-02-01 --end 2026-02-10 --granularity week ${AS_OF}`, dbPath).output.data;
+        assert.deepStrictEqual(data.routines.map(r => r.routineName), ['Read', 'Work']);
+        assert.deepStrictEqual(data.routines[1].buckets.map(b => [b.start, b.end]), [
+          ['2026-02-01', '2026-02-01'],
+          ['2026-02-02', '2026-02-08'],
+          ['2026-02-09', '2026-02-10']
+        ]);
+        assert.deepStrictEqual(data.routines[0].totals, { durationSeconds: 3600, pausedSeconds: 600, activeSeconds: 3000, sessionsCount: 1 });
+        assert.deepStrictEqual(data.totals, { durationSeconds: 8400, pausedSeconds: 600, activeSeconds: 7800, sessionsCount: 3 });
+      });
+
+      test('--tag filters sessions', () => {
+        const data = run(`report --start 2026-02-01 --end 2026-02-28 --granularity month --tag focus ${AS_OF}`, dbPath).output.data;
+        assert.strictEqual(data.totals.activeSeconds, 3600);
+        assert.deepStrictEqual(data.routines[1].buckets.map(b => [b.start, b.end]), [['2026-02-01', '2026-02-28']]);
+      });
+
+      test('report validates the range and granularity', () => {
+        assert.strictEqual(run('report --start 2026-02-01', dbPath).output.error.code, 'ERR_INVALID_ARGS');
+        assert.strictEqual(run('report --start 2026-02-05 --end 2026-02-01', dbPath).output.error.code, 'ERR_INVALID_ARGS');
+        assert.strictEqual(run('report --start 2026-02-01 --end 2026/02/05', dbPath).output.error.code, 'ERR_INVALID_TIME_FORMAT');
+        assert.strictEqual(run('report --start 2026-02-01 --end 2026-02-05 --granularity year', dbPath).code, 2);
+      });
+    });
+
+    describe('Explain', () => {
+      beforeEach(() => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-31T09:00:00+09:00', dbPath);
+      });
+
+      test('status --explain traces pauses and the asOf clamp', () => {
+        const sessionId = run('start --routine "Work" --ts 2026-02-02T09:00:00+09:00', dbPath).output.data.session.id;
+        run(`pause --session ${sessionId} --ts 2026-02-02T09:10:00+09:00`, dbPath);
+
+        const asOf = '--as-of 2026-02-02T09:30:00+09:00';
+        assert.strictEqual(run(`status --session ${sessionId} ${asOf}`, dbPath).output.data.explanation, undefined);
+        const [trace] = run(`status --session ${sessionId} ${asOf} --explain`, dbPath).output.data.explanation.sessions;
+        assert.deepStrictEqual(trace.interval, { start: '2026-02-02T09:00:00+09:00', end: '2026-02-02T09:30:00+09:00', endSource: 'asOf' });
+        assert.deepStrictEqual(trace.pauses, [{
+          start: '2026-02-02T09:10:00+09:00',
+          end: null,
+          clippedStart: '2026-02-02T09:10:00+09:00',
+          clippedEnd: '2026-02-02T09:30:00+09:00',
+          seconds: 1200
+        }]);
+        assert.strictEqual(trace.activeSeconds, 600);
+        assert.strictEqual(run(`active ${asOf} --explain`, dbPath).output.data.explanation.sessions.length, 1);
+      });
+
+      test('today --explain shows day boundaries, clipping and goal steps', () => {
+        run('log --routine "Work" --start 2026-02-01T23:30:00+09:00 --end 2026-02-02T00:30:00+09:00 ' +
+          '--pause 2026-02-01T23:50:00+09:00/2026-02-02T00:10:00+09:00 --ts 2026-02-03T00:00:00+09:00', dbPath);
+
+        const explanation = run('today --date 2026-02-02 --as-of 2026-02-03T12:00:00+09:00 --explain', dbPath).output.data.explanation;
+        assert.deepStrictEqual(explanation.days, [{
+          start: '2026-02-02',
+          end: '2026-02-02',
+          tz: 'Asia/Seoul',
+          from: '2026-02-01T15:00:00.000Z',
+          to: '2026-02-02T15:00:00.000Z',
+          countedUntil: '2026-02-02T15:00:00.000Z',
+          clampedToAsOf: false
+        }]);
+        const [session] = explanation.sessions;
+        assert.deepStrictEqual(session.clipped, { start: '2026-02-01T15:00:00.000Z', end: '2026-02-01T15:30:00.000Z' });
+        assert.strictEqual(session.pauses[0].seconds, 600);
+        assert.strictEqual(session.activeSeconds, 1200);
+
+        const [goal] = explanation.goals;
+        assert.strictEqual(goal.status, 'missed');
+        assert.strictEqual(goal.steps.at(-1), '1200 >= 1800 → missed');
+      });
+
+      test('report --explain traces every bucket', () => {
+        run('log --routine "Work" --start 2026-02-01T23:30:00+09:00 --end 2026-02-02T00:30:00+09:00 ' +
+          '--ts 2026-02-03T00:00:00+09:00', dbPath);
+
+        const [routine] = run('report --start 2026-02-01 --end 2026-02-02 --as-of 2026-02-03T12:00:00+09:00 --explain', dbPath)
+          .output.data.explanation.routines;
+        assert.deepStrictEqual(routine.buckets.map(b => b.sessions.map(s => [s.activeSeconds, s.countsAsSession])), [
+          [[1800, true]],
+          [[1800, false]]
+        ]);
+      });
+    });
+
+    describe('Batch', () => {
+      const ndjson = commands => commands.map(c => JSON.stringify(c)).join('\n');
+      const envelopes = stdout => stdout.trim().split('\n').map(line => JSON.parse(line));
+
+      test('runs each line and writes one envelope per line', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-01-31T08:00:00Z', dbPath);
+        const result = runRaw('batch', dbPath, [
+          JSON.stringify({ command: 'start', routine: 'Work', tag: 'focus', ts: '2026-01-31T09:00:00Z' }),
+          '',
+          JSON.stringify({ command: 'stop', session: 'ses_missing', ts: '2026-01-31T09:30:00Z' }),
+          JSON.stringify({ command: 'active', 'as-of': '2026-01-31T09:10:00Z' })
+        ].join('\n'));
+
+        assert.strictEqual(result.code, 3);
+        const [start, stop, active] = envelopes(result.stdout);
+        assert.strictEqual(start.ok, true);
+        assert.strictEqual(start.meta.line, 1);
+        assert.strictEqual(start.meta.db, dbPath);
+        assert.deepStrictEqual(start.data.session.tags, ['focus']);
+        assert.strictEqual(stop.error.code, 'ERR_SESSION_NOT_FOUND');
+        assert.strictEqual(stop.meta.line, 3);
+        assert.strictEqual(active.meta.line, 4);
+        assert.strictEqual(active.meta.db, dbPath);
+        assert.strictEqual(active.data.sessions[0].computed.activeSeconds, 600);
+      });
+
+      test('--atomic commits every line or none', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-01-31T08:00:00Z', dbPath);
+        const start = { command: 'start', routine: 'Work', ts: '2026-01-31T09:00:00Z' };
+
+        const failed = runRaw('batch --atomic', dbPath, ndjson([start, { command: 'stop', session: 'ses_missing', ts: '2026-01-31T09:30:00Z' }]));
+        assert.strictEqual(failed.code, 3);
+        const [error] = envelopes(failed.stdout);
+        assert.strictEqual(error.error.code, 'ERR_SESSION_NOT_FOUND');
+        assert.strictEqual(error.meta.line, 2);
+        assert.deepStrictEqual(run('active', dbPath).output.data.sessions, []);
+        assert.strictEqual(run('history --routine Work', dbPath).output.data.entries.length, 1);
+
+        const committed = runRaw('batch --atomic', dbPath, ndjson([start, { ...start, ts: '2026-01-31T09:05:00Z' }]));
+        assert.strictEqual(committed.code, 0);
+        assert.deepStrictEqual(envelopes(committed.stdout).map(e => e.meta.line), [1, 2]);
+        assert.strictEqual(run('active', dbPath).output.data.sessions.length, 2);
+      });
+
+      test('a malformed line fails an atomic batch before anything runs', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-01-31T08:00:00Z', dbPath);
+        const result = runRaw('batch --atomic', dbPath, `${ndjson([{ command: 'start', routine: 'Work', ts: '2026-01-31T09:00:00Z' }])}\n{"command":`);
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(envelopes(result.stdout)[0].meta.line, 2);
+        assert.deepStrictEqual(run('active', dbPath).output.data.sessions, []);
+      });
+
+      test('idempotency keys replay within a batch', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-01-31T08:00:00Z', dbPath);
+        const start = { command: 'start', routine: 'Work', ts: '2026-01-31T09:00:00Z', idempotencyKey: 'tick-1' };
+        const [first, replay] = envelopes(runRaw('batch', dbPath, ndjson([start, start])).stdout);
+        assert.strictEqual(first.meta.replayed, false);
+        assert.strictEqual(replay.meta.replayed, true);
+        assert.strictEqual(replay.data.session.id, first.data.session.id);
+      });
+    });
+
+    describe('Human output', () => {
+      test('list, status and today render without JSON or color', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-01-31T09:00:00Z', dbPath);
+        const sessionId = run('start --routine "Work" --ts 2026-01-31T09:00:00Z', dbPath).output.data.session.id;
+
+        const list = runRaw('list', dbPath).stdout.split('\n');
+        assert.match(list[0], /^ID +NAME +TZ +RULE +ARCHIVED$/);
+        assert.match(list[1], /^rtn_\w+ +Work +UTC +daily>=30m$/);
+
+        const status = runRaw(`status --session ${sessionId} --as-of 2026-01-31T09:20:00Z`, dbPath).stdout;
+        assert.match(status, /^Status +running$/m);
+        assert.match(status, /^Active +20m$/m);
+
+        const today = runRaw('today --date 2026-01-31 --tz UTC --as-of 2026-01-31T09:15:00Z', dbPath).stdout;
+        assert.match(today, /Work +█{10}░{10} +15m\/30m +pending/);
+        assert.ok(!today.includes('\u001b['));
+      });
+
+      test('--quiet prints only the affected ids', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-01-31T09:00:00Z', dbPath);
+        const start = runRaw('start --routine "Work" --ts 2026-01-31T09:00:00Z --quiet', dbPath);
+        assert.strictEqual(start.code, 0);
+        assert.match(start.stdout, /^ses_\w+\n$/);
+        assert.strictEqual(runRaw('active --quiet', dbPath).stdout, start.stdout);
+      });
+    });
+
+    describe('Output formats', () => {
+      test('csv, tsv and ndjson render list-shaped commands', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz UTC --ts 2026-01-31T09:00:00Z', dbPath);
+        run('start --routine "Work" --tag focus --ts 2026-01-31T09:00:00Z', dbPath);
+
+        const csv = runRaw('active --as-of 2026-01-31T10:00:00Z --format csv', dbPath);
+        assert.strictEqual(csv.code, 0);
+        const [header, row] = csv.stdout.trim().split('\n');
+        assert.ok(header.startsWith('id,routineId,routineName,start,end,status,asOf,durationSeconds'));
+        assert.match(row, /,Work,2026-01-31T09:00:00Z,,running,2026-01-31T10:00:00Z,3600,0,3600,0,focus,,$/);
+
+        const tsv = runRaw('list --format tsv', dbPath).stdout.trim().split('\n');
+        assert.deepStrictEqual(tsv[1].split('\t').slice(1, 4), ['Work', 'UTC', 'daily>=30m']);
+
+        const ndjson = runRaw('report --start 2026-01-31 --end 2026-02-01 --as-of 2026-01-31T10:00:00Z --format ndjson', dbPath);
+        const rows = ndjson.stdout.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(rows.map(r => [r.start, r.activeSeconds]), [['2026-01-31', 3600], ['2026-02-01', 0]]);
+      });
+
+      test('errors go to stderr as a JSON envelope', () => {
+        const result = runRaw('status --session ses_missing --format ndjson', dbPath);
+        assert.strictEqual(result.code, 3);
+        assert.strictEqual(result.stdout, '');
+        assert.strictEqual(JSON.parse(result.stderr).error.code, 'ERR_SESSION_NOT_FOUND');
+      });
+
+      test('unexpected errors leave only the envelope on stderr', () => {
+        writeFileSync(dbPath, 'not a database, just text long enough to hold a header'.repeat(4));
+        const result = runRaw('list --format ndjson', dbPath);
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stdout, '');
+        assert.strictEqual(result.stderr.trim().split('\n').length, 1);
+        assert.strictEqual(JSON.parse(result.stderr).error.code, 'ERR_INTERNAL');
+      });
+
+      test('tabular formats are refused before a command runs', () => {
+        const result = runRaw('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00Z --format csv', dbPath);
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(JSON.parse(result.stderr).error.code, 'ERR_INVALID_ARGS');
+        assert.deepStrictEqual(run('list', dbPath).output.data.routines, []);
+      });
+    });
+
+    describe('Calendar export', () => {
+      beforeEach(() => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('log --routine "Work" --start 2026-02-01T09:00:00+09:00 --end 2026-02-01T10:00:00+09:00 --tag focus ' +
+          '--ts 2026-02-01T11:00:00+09:00', dbPath);
+        run('log --routine "Work" --start 2026-03-01T09:00:00+09:00 --end 2026-03-01T10:00:00+09:00 ' +
+          '--ts 2026-03-01T11:00:00+09:00', dbPath);
+        run('start --routine "Work" --ts 2026-02-02T09:00:00+09:00', dbPath);
+      });
+
+      test('export writes stopped sessions in range as stable VEVENTs', () => {
+        const sessionId = run('status --routine "Work" --include-deleted', dbPath).output.data.sessions[0].id;
+        const first = runRaw('export --format ics --start 2026-02-01 --end 2026-02-28', dbPath);
+        assert.strictEqual(first.code, 0);
+        assert.strictEqual(first.stdout.match(/BEGIN:VEVENT/g).length, 1);
+        assert.ok(!first.stdout.includes(sessionId));
+        assert.match(first.stdout, /DTSTART:20260201T000000Z\r\nDTEND:20260201T010000Z\r\nSUMMARY:Work\r\nCATEGORIES:focus\r\n/);
+
+        const out = join(tmpDir, 'routine.ics');
+        const second = runRaw(`export --format ics --start 2026-02-01 --end 2026-02-28 --out "${out}"`, dbPath);
+        assert.strictEqual(second.stdout, '');
+        assert.strictEqual(readFileSync(out, 'utf8'), first.stdout);
+      });
+
+      test('changing a session raises its SEQUENCE and LAST-MODIFIED', () => {
+        const exportFeb = () => runRaw('export --format ics --start 2026-02-01 --end 2026-02-28', dbPath).stdout;
+        assert.match(exportFeb(), /LAST-MODIFIED:20260201T020000Z\r\nSEQUENCE:0\r\n/);
+
+        const sessionId = exportFeb().match(/UID:(ses_\w+)@/)[1];
+        run(`amend --session ${sessionId} --note "draft" --ts 2026-02-03T09:00:00+09:00`, dbPath);
+        assert.match(exportFeb(), /LAST-MODIFIED:20260203T000000Z\r\nSEQUENCE:1\r\n/);
+        run('undo --ts 2026-02-03T10:00:00+09:00', dbPath);
+        assert.match(exportFeb(), /LAST-MODIFIED:20260201T020000Z\r\nSEQUENCE:2\r\n/);
+      });
+
+      test('export requires --format ics and a range', () => {
+        assert.strictEqual(run('export --start 2026-02-01 --end 2026-02-28', dbPath).output.error.code, 'ERR_INVALID_ARGS');
+        const missing = runRaw('export --format ics --start 2026-02-01', dbPath);
+        assert.strictEqual(missing.code, 2);
+        assert.strictEqual(JSON.parse(missing.stderr).error.code, 'ERR_INVALID_ARGS');
+      });
+    });
+
+    describe('Import', () => {
+      let timewFile;
+
+      beforeEach(() => {
+        timewFile = join(tmpDir, 'timew.json');
+        writeFileSync(timewFile, JSON.stringify([
+          { id: 3, start: '20260131T090000Z', end: '20260131T100000Z', tags: ['deep', 'focus'] },
+          { id: 2, start: '20260201T090000Z', end: '20260201T093000Z', tags: ['Reading'] },
+          { id: 1, start: '20260202T090000Z', tags: ['deep'] }
+        ]));
+      });
+
+      const importTimew = (extra = '--rule "daily>=30m"') =>
+        run(`import --provider timewarrior --file "${timewFile}" --routine-map "deep=Deep Work" --tz UTC ` +
+          `--ts 2026-02-05T00:00:00Z ${extra}`, dbPath);
+
+      test('import creates routines and sessions, and re-imports skip them', () => {
+        const first = importTimew();
+        assert.strictEqual(first.success, true);
+        assert.deepStrictEqual(first.output.data.counts, { imported: 2, skipped: 0, conflicts: 0, invalid: 1, routinesCreated: 2 });
+        assert.deepStrictEqual(first.output.data.invalid, [{ row: 3, error: 'interval is still open' }]);
+
+        const routines = run('list', dbPath).output.data.routines;
+        assert.deepStrictEqual(routines.map(r => [r.name, r.createdAt, r.tz, r.rule]), [
+          ['Deep Work', '2026-01-31T09:00:00Z', 'UTC', 'daily>=30m'],
+          ['Reading', '2026-02-01T09:00:00Z', 'UTC', 'daily>=30m']
+        ]);
+        const sessionId = first.output.data.imported[0].sessionId;
+        const session = run(`status --session ${sessionId}`, dbPath).output.data.session;
+        assert.deepStrictEqual([session.routineName, session.start, session.end, session.tags], ['Deep Work', '2026-01-31T09:00:00Z', '2026-01-31T10:00:00Z', ['focus']]);
+        assert.deepStrictEqual(run(`history --session ${sessionId}`, dbPath).output.data.entries.map(e => e.command), ['import']);
+
+        const again = importTimew('');
+        assert.deepStrictEqual(again.output.data.counts, { imported: 0, skipped: 2, conflicts: 0, invalid: 1, routinesCreated: 0 });
+        assert.strictEqual(again.output.data.skipped[0].sessionId, sessionId);
+      });
+
+      test('rows whose times changed at the source are conflicts', () => {
+        importTimew();
+        writeFileSync(timewFile, JSON.stringify([
+          { start: '20260131T090000Z', end: '20260131T101500Z', tags: ['deep'] }
+        ]));
+        const result = importTimew();
+        assert.strictEqual(result.output.data.counts.conflicts, 1);
+        assert.deepStrictEqual(result.output.data.conflicts[0].incoming, { start: '2026-01-31T09:00:00Z', end: '2026-01-31T10:15:00Z' });
+      });
+
+      test('rows without a source id are matched by overlap', () => {
+        const csvFile = join(tmpDir, 'sessions.csv');
+        const importCsv = () =>
+          run(`import --provider csv --file "${csvFile}" --rule "daily>=30m" --tz UTC --ts 2026-02-05T00:00:00Z`, dbPath).output.data;
+        writeFileSync(csvFile, 'routine,start,end,note\nWork,2026-01-31T09:00:00Z,2026-01-31T10:00:00Z,draft\n');
+        assert.strictEqual(importCsv().counts.imported, 1);
+        assert.strictEqual(importCsv().counts.skipped, 1);
+
+        writeFileSync(csvFile, 'routine,start,end,note\nWork,2026-01-31T09:00:00Z,2026-01-31T10:30:00Z,edited\n' +
+          'Work,2026-01-31T11:00:00Z,2026-01-31T11:30:00Z,\n');
+        const edited = importCsv();
+        assert.deepStrictEqual(edited.counts, { imported: 1, skipped: 0, conflicts: 1, invalid: 0, routinesCreated: 0 });
+        assert.deepStrictEqual(edited.conflicts[0].existing, { start: '2026-01-31T09:00:00Z', end: '2026-01-31T10:00:00Z' });
+        assert.strictEqual(edited.conflicts[0].key, null);
+      });
+
+      test('rows with invalid tags are invalid', () => {
+        writeFileSync(timewFile, JSON.stringify([
+          { start: '20260131T090000Z', end: '20260131T100000Z', tags: ['deep', 'a;b'] }
+        ]));
+        const result = importTimew();
+        assert.strictEqual(result.output.data.counts.imported, 0);
+        assert.match(result.output.data.invalid[0].error, /^invalid tag "a;b"/);
+      });
+
+      test('--dry-run reports without writing', () => {
+        const dryRun = importTimew('--rule "daily>=30m" --dry-run');
+        assert.strictEqual(dryRun.output.data.dryRun, true);
+        assert.strictEqual(dryRun.output.data.counts.imported, 2);
+        assert.deepStrictEqual(dryRun.output.data.routinesCreated.map(r => r.name), ['Deep Work', 'Reading']);
+        assert.deepStrictEqual(run('list', dbPath).output.data.routines, []);
+      });
+
+      test('import maps rows into existing routines', () => {
+        run('add --name "Deep Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-01T09:00:00+09:00', dbPath);
+        const result = importTimew();
+        assert.deepStrictEqual(result.output.data.routinesCreated.map(r => r.name), ['Reading']);
+        assert.strictEqual(run('list', dbPath).output.data.routines[0].tz, 'Asia/Seoul');
+      });
+
+      test('import refuses to create routines without --rule', () => {
+        const result = importTimew('');
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_ARGS');
+        assert.deepStrictEqual(result.output.error.details.routines, ['Deep Work', 'Reading']);
+        assert.strictEqual(importTimew('--dry-run').output.error.code, 'ERR_INVALID_ARGS');
+        assert.deepStrictEqual(run('list', dbPath).output.data.routines, []);
+
+        run('add --name "Deep Work" --rule "daily>=30m" --ts 2026-01-01T09:00:00Z', dbPath);
+        run('add --name "Reading" --rule "daily>=15m" --ts 2026-01-01T09:00:00Z', dbPath);
+        assert.strictEqual(importTimew('').output.data.counts.imported, 2);
+      });
+
+      test('import validates its arguments', () => {
+        assert.strictEqual(run('import --file x --ts 2026-02-05T00:00:00Z', dbPath).output.error.code, 'ERR_INVALID_ARGS');
+        assert.strictEqual(run('import --provider harvest --file x --ts 2026-02-05T00:00:00Z', dbPath).output.error.code, 'ERR_INVALID_ARGS');
+        assert.strictEqual(run(`import --provider timewarrior --file "${timewFile}"`, dbPath).output.error.code, 'ERR_TS_REQUIRED');
+        assert.strictEqual(importTimew('--routine-map nope').output.error.code, 'ERR_INVALID_ARGS');
+      });
+    });
+
+    describe('Streak', () => {
+      test('streak counts met days and treats the as-of day as pending', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-27T08:00:00+09:00', dbPath);
+        const log = (day, minutes) => run(`log --routine "Work" --start 2026-01-${day}T09:00:00+09:00 ` +
+          `--end 2026-01-${day}T09:${minutes}:00+09:00 --ts 2026-01-31T08:00:00+09:00`, dbPath);
+        log('27', '30');
+        log('28', '45');
+        log('29', '10');
+        log('30', '30');
+
+        const result = run('streak --routine "Work" --as-of 2026-01-31T12:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, true);
+        const data = result.output.data;
+        assert.deepStrictEqual(data.windows.map(d => d.status), ['met', 'met', 'missed', 'met', 'pending']);
+        assert.strictEqual(data.windows[1].activeSeconds, 2700);
+        assert.deepStrictEqual(data.days.map(d => d.status), ['met', 'met', 'missed', 'met', 'pending']);
+        assert.strictEqual(data.days[1].activeSeconds, 2700);
+        assert.strictEqual(data.targetSeconds, 1800);
+        assert.strictEqual(data.current, 1);
+        assert.strictEqual(data.longest, 2);
+      });
+
+      test('weekly rules are evaluated per week window', () => {
+        run('add --name "Run" --rule "weekly>=1h" --tz Asia/Seoul --ts 2026-01-26T08:00:00+09:00', dbPath);
+        const log = (day, minutes) => run(`log --routine "Run" --start 2026-${day}T07:00:00+09:00 ` +
+          `--end 2026-${day}T07:${minutes}:00+09:00 --ts 2026-02-04T20:00:00+09:00`, dbPath);
+        log('01-27', '40');
+        log('01-29', '30');
+        log('02-03', '20');
+
+        const streak = run('streak --routine "Run" --as-of 2026-02-04T12:00:00+09:00', dbPath);
+        assert.deepStrictEqual(streak.output.data.windows.map(w => [w.start, w.end, w.status]), [
+          ['2026-01-26', '2026-02-01', 'met'],
+          ['2026-02-02', '2026-02-08', 'pending']
+        ]);
+        // Days carry their week's status; the open week stops at the as-of date
+        const days = streak.output.data.days;
+        assert.deepStrictEqual(days.map(d => d.date), [
+          '2026-01-26', '2026-01-27', '2026-01-28', '2026-01-29', '2026-01-30', '2026-01-31', '2026-02-01',
+          '2026-02-02', '2026-02-03', '2026-02-04'
+        ]);
+        assert.deepStrictEqual(days.map(d => d.status), [...Array(7).fill('met'), ...Array(3).fill('pending')]);
+        assert.deepStrictEqual(days.map(d => d.activeSeconds), [0, 2400, 0, 1800, 0, 0, 0, 0, 1200, 0]);
+        assert.strictEqual(streak.output.data.current, 1);
+
+        const today = run('today --routine "Run" --date 2026-02-04 --as-of 2026-02-04T12:00:00+09:00', dbPath);
+        const goal = today.output.data.routines[0].goal;
+        assert.deepStrictEqual(goal.window, { start: '2026-02-02', end: '2026-02-08' });
+        assert.strictEqual(goal.achieved, 1200);
+        assert.strictEqual(goal.remaining, 2400);
+        assert.strictEqual(goal.status, 'pending');
+
+        const sunday = run('today --routine "Run" --date 2026-02-04 --week-start sun --as-of 2026-02-04T12:00:00+09:00', dbPath);
+        assert.deepStrictEqual(sunday.output.data.routines[0].goal.window, { start: '2026-02-01', end: '2026-02-07' });
+      });
+
+      test('streak splits a session across midnight in the routine tz', () => {
+        run('add --name "Night" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-29T08:00:00+09:00', dbPath);
+        run('log --routine "Night" --start 2026-01-29T23:30:00+09:00 --end 2026-01-30T00:30:00+09:00 ' +
+          '--ts 2026-01-31T08:00:00+09:00', dbPath);
+
+        const result = run('streak --routine "Night" --as-of 2026-01-30T23:00:00+09:00', dbPath);
+        assert.deepStrictEqual(result.output.data.windows.map(d => d.activeSeconds), [1800, 1800]);
+        assert.deepStrictEqual(result.output.data.days.map(d => d.activeSeconds), [1800, 1800]);
+        assert.strictEqual(result.output.data.current, 2);
+      });
+    });
+
+    describe('Skips', () => {
+      test('skip a range, list it in show, and unskip one date', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+
+        const skip = run('skip --routine "Work" --start 2026-02-09 --end 2026-02-11 --reason "vacation" ' +
+          '--ts 2026-02-01T09:00:00+09:00', dbPath);
+        assert.strictEqual(skip.success, true);
+        assert.deepStrictEqual(skip.output.data.skips.map(s => s.date), ['2026-02-09', '2026-02-10', '2026-02-11']);
+        assert.ok(skip.output.data.skips[0].id.startsWith('skp_'));
+
+        const unskip = run('unskip --routine "Work" --date 2026-02-10 --ts 2026-02-01T09:05:00+09:00', dbPath);
+        assert.strictEqual(unskip.success, true);
+        assert.strictEqual(unskip.output.data.removed.length, 1);
+
+        const show = run('show --routine "Work"', dbPath);
+        assert.deepStrictEqual(show.output.data.routine.skips.map(s => s.date), ['2026-02-09', '2026-02-11']);
+        assert.strictEqual(show.output.data.routine.skips[0].reason, 'vacation');
+      });
+
+      test('skip conflicts and missing unskips are structured errors', () => {
+        run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        run('skip --routine "Work" --date 2026-02-10 --reason "sick" --ts 2026-02-01T09:00:00+09:00', dbPath);
+
+        const conflict = run('skip --routine "Work" --start 2026-02-09 --end 2026-02-11 --reason "vacation" ' +
+          '--ts 2026-02-01T09:00:00+09:00', dbPath);
+        assert.strictEqual(conflict.success, false);
+        assert.strictEqual(conflict.code, 4);
+        assert.strictEqual(conflict.output.error.code, 'ERR_ALREADY_EXISTS');
+        assert.deepStrictEqual(conflict.output.error.details.conflicts.map(c => c.date), ['2026-02-10']);
+
+        const missing = run('unskip --routine "Work" --date 2026-02-12 --ts 2026-02-01T09:00:00+09:00', dbPath);
+        assert.strictEqual(missing.code, 3);
+        assert.strictEqual(missing.output.error.code, 'ERR_SKIP_NOT_FOUND');
+      });
+
+      test('skipped days keep a streak alive without adding to it', () => {
+        run('add --name "Work" --rule "daily>=30m" --tz Asia/Seoul --ts 2026-01-28T08:00:00+09:00', dbPath);
+        run('log --routine "Work" --start 2026-01-28T09:00:00+09:00 --end 2026-01-28T09:30:00+09:00 ' +
+          '--ts 2026-01-31T08:00:00+09:00', dbPath);
+        run('skip --routine "Work" --date 2026-01-29 --reason "travel" --ts 2026-01-28T20:00:00+09:00', dbPath);
+        run('log --routine "Work" --start 2026-01-30T09:00:00+09:00 --end 2026-01-30T09:30:00+09:00 ' +
+          '--ts 2026-01-31T08:00:00+09:00', dbPath);
+
+        const result = run('streak --routine "Work" --as-of 2026-01-30T12:00:00+09:00', dbPath);
+        assert.deepStrictEqual(result.output.data.windows.map(d => d.status), ['met', 'skipped', 'met']);
+        assert.strictEqual(result.output.data.current, 2);
+      });
+    });
+
+    describe('Concurrency and locking', () => {
+      test('concurrent writers all persist', async () => {
+        run('list', dbPath);
+        const names = ['A', 'B', 'C', 'D'];
+        const results = await Promise.all(names.map(name =>
+          runAsync(`add --name "${name}" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00`, dbPath)));
+        assert.ok(results.every(r => r.success));
+
+        const list = run('list', dbPath);
+        assert.deepStrictEqual(list.output.data.routines.map(r => r.name).sort(), names);
+      });
+
+      test('a held lock fails with ERR_DB_LOCKED after --lock-timeout', () => {
+        writeFileSync(`${dbPath}.lock`, JSON.stringify({ pid: process.pid }));
+
+        const result = run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00 --lock-timeout 100', dbPath);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.code, 6);
+        assert.strictEqual(result.output.error.code, 'ERR_DB_LOCKED');
+        assert.strictEqual(result.output.error.details.pid, process.pid);
+      });
+
+      test('a lock left by a dead process is taken over', () => {
+        writeFileSync(`${dbPath}.lock`, JSON.stringify({ pid: 999999999 }));
+
+        const result = run('add --name "Work" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00', dbPath);
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(readdirSync(tmpDir), ['test.sqlite3']);
+      });
+
+      test('invalid --lock-timeout is rejected', () => {
+        const result = run('list --lock-timeout soon', dbPath);
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_ARGS');
+      });
+    });
+
+    describe('Database maintenance', () => {
+      test('db version reports the schema version', () => {
+        run('list', dbPath);
+        const result = run('db version', dbPath);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.output.data.version, result.output.data.supported);
+        assert.strictEqual(result.output.data.upToDate, true);
+        assert.deepStrictEqual(result.output.data.pending, []);
+      });
+
+      test('db version does not create a missing database', () => {
+        const result = run('db version', dbPath);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.output.data.exists, false);
+        assert.strictEqual(result.output.data.version, 0);
+        assert.deepStrictEqual(readdirSync(tmpDir), []);
+
+        run('list', dbPath);
+        assert.strictEqual(run('db version', dbPath).output.data.exists, true);
+      });
+
+      test('db migrate --dry-run lists pending migrations without applying them', () => {
+        const dryRun = run('db migrate --dry-run', dbPath);
+        assert.strictEqual(dryRun.success, true);
+        assert.strictEqual(dryRun.output.data.from, 0);
+        assert.deepStrictEqual(dryRun.output.data.pending.map(m => m.version), [1, 2, 3, 4, 5, 6, 7]);
+        assert.strictEqual(run('db version', dbPath).output.data.version, 0);
+
+        const migrate = run('db migrate', dbPath);
+        assert.strictEqual(migrate.output.data.to, 7);
+        assert.deepStrictEqual(migrate.output.data.applied.map(m => m.version), [1, 2, 3, 4, 5, 6, 7]);
+        assert.deepStrictEqual(run('db migrate', dbPath).output.data.applied, []);
+      });
+
+      test('unknown db subcommand is rejected', () => {
+        const result = run('db vacuum', dbPath);
+        assert.strictEqual(result.code, 2);
+        assert.strictEqual(result.output.error.code, 'ERR_INVALID_ARGS');
+      });
     });
   });
+}
+
+describe('Storage drivers', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'routine-cli-test-'));
+    dbPath = join(tmpDir, 'test.sqlite3');
+  });
+
+  afterEach(() => {
+    if (tmpDir && existsSync(tmpDir)) {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('unknown driver is rejected', () => {
+    const result = runCli('list', dbPath, 'postgres');
+    assert.strictEqual(result.code, 2);
+    assert.strictEqual(result.output.error.code, 'ERR_INVALID_ARGS');
+  });
+
+  test('auto picks the first available driver', () => {
+    const result = runCli('list', dbPath, 'auto');
+    assert.strictEqual(result.output.meta.dbDriver, DRIVERS[0]);
+  });
+
+  test('every driver reads what the others wrote', () => {
+    for (const [i, driver] of DRIVERS.entries()) {
+      const add = runCli(`add --name "R${i}" --rule "daily>=30m" --ts 2026-01-31T09:00:00+09:00`, dbPath, driver);
+      assert.strictEqual(add.success, true);
+    }
+    for (const driver of DRIVERS) {
+      const list = runCli('list', dbPath, driver);
+      assert.deepStrictEqual(list.output.data.routines.map(r => r.name), DRIVERS.map((_, i) => `R${i}`));
+    }
+  });
 });
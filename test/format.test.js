@@ -0,0 +1,76 @@
+/**
+ * Unit tests for csv, tsv and ndjson output
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { formatTable, validateFormat } from '../src/format.js';
+
+const ROUTINES = {
+  routines: [
+    { id: 'rtn_A', name: 'Deep, "Work"', tz: 'UTC', rule: 'daily>=30m', createdAt: '2026-01-31T09:00:00Z', archivedAt: null }
+  ]
+};
+
+const SESSION = {
+  id: 'ses_A',
+  routineId: 'rtn_A',
+  routineName: 'Work',
+  start: '2026-01-31T09:00:00Z',
+  end: null,
+  status: 'paused',
+  pauses: [{ start: '2026-01-31T09:10:00Z', end: null }],
+  computed: { asOf: '2026-01-31T10:00:00Z', durationSeconds: 3600, pausedSeconds: 3000, activeSeconds: 600 },
+  note: 'line1\tcol\nline2',
+  tags: ['a', 'b'],
+  deletedAt: null
+};
+
+describe('formatTable', () => {
+  test('csv quotes commas and quotes and leaves nulls empty', () => {
+    assert.strictEqual(
+      formatTable('csv', 'list', ROUTINES),
+      'id,name,tz,rule,createdAt,archivedAt\nrtn_A,"Deep, ""Work""",UTC,daily>=30m,2026-01-31T09:00:00Z,\n'
+    );
+  });
+
+  test('csv quotes line breaks; tsv escapes tabs and line breaks', () => {
+    const csv = formatTable('csv', 'status', { session: SESSION }).split('\n');
+    assert.strictEqual(csv[0], 'id,routineId,routineName,start,end,status,asOf,durationSeconds,pausedSeconds,activeSeconds,pausesCount,tags,note,deletedAt');
+    assert.strictEqual(csv[1], 'ses_A,rtn_A,Work,2026-01-31T09:00:00Z,,paused,2026-01-31T10:00:00Z,3600,3000,600,1,a;b,"line1\tcol');
+
+    const tsv = formatTable('tsv', 'active', { asOf: SESSION.computed.asOf, sessions: [SESSION] }).split('\n');
+    assert.strictEqual(tsv.length, 3);
+    assert.strictEqual(tsv[1].split('\t')[12], 'line1\\tcol\\nline2');
+  });
+
+  test('ndjson writes one flattened object per row', () => {
+    const lines = formatTable('ndjson', 'active', { sessions: [SESSION, { ...SESSION, id: 'ses_B' }] }).trim().split('\n');
+    assert.deepStrictEqual(lines.map(l => JSON.parse(l).id), ['ses_A', 'ses_B']);
+    assert.deepStrictEqual(JSON.parse(lines[0]).tags, ['a', 'b']);
+    assert.strictEqual(JSON.parse(lines[0]).activeSeconds, 600);
+    assert.strictEqual(formatTable('ndjson', 'active', { sessions: [] }), '');
+  });
+
+  test('report rows are one per routine and bucket', () => {
+    const totals = { durationSeconds: 60, pausedSeconds: 0, activeSeconds: 60, sessionsCount: 1 };
+    const report = {
+      routines: [{
+        routineId: 'rtn_A',
+        routineName: 'Work',
+        tz: 'UTC',
+        buckets: [{ start: '2026-02-01', end: '2026-02-01', totals }, { start: '2026-02-02', end: '2026-02-02', totals }]
+      }]
+    };
+    assert.strictEqual(formatTable('csv', 'report', report).trim().split('\n').length, 3);
+  });
+});
+
+describe('validateFormat', () => {
+  test('rejects unknown formats and tabular output for other commands', () => {
+    assert.doesNotThrow(() => validateFormat('json', 'add'));
+    assert.doesNotThrow(() => validateFormat('tsv', 'report'));
+    assert.throws(() => validateFormat('xml', 'list'), err => err.code === 'ERR_INVALID_ARGS');
+    assert.throws(() => validateFormat('csv', 'start'), err => err.code === 'ERR_INVALID_ARGS');
+  });
+});
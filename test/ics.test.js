@@ -0,0 +1,54 @@
+/**
+ * Unit tests for iCalendar rendering
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { icsDateTime, escapeText, foldLine, renderCalendar } from '../src/ics.js';
+
+const SESSION = {
+  id: 'ses_A',
+  routineName: 'Deep Work',
+  start: '2026-02-01T09:00:00+09:00',
+  end: '2026-02-01T10:00:00+09:00',
+  pauses: [{ start: '2026-02-01T09:20:00+09:00', end: '2026-02-01T09:30:00+09:00' }],
+  computed: { activeSeconds: 3000 },
+  note: 'Chapter 3; drafts',
+  tags: ['focus', 'a,b'],
+  updatedAt: '2026-02-01T11:00:00+09:00',
+  sequence: 2
+};
+
+describe('ics', () => {
+  test('date-times are written in UTC', () => {
+    assert.strictEqual(icsDateTime('2026-02-01T09:00:00+09:00'), '20260201T000000Z');
+  });
+
+  test('text escapes backslashes, separators and newlines', () => {
+    assert.strictEqual(escapeText('a\\b;c,d\ne'), 'a\\\\b\\;c\\,d\\ne');
+  });
+
+  test('long lines fold at 75 octets without splitting characters', () => {
+    const folded = foldLine(`DESCRIPTION:${'가'.repeat(40)}`).split('\r\n');
+    assert.ok(folded.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(folded.slice(1).every(line => line.startsWith(' ')));
+    assert.strictEqual(folded.map((line, i) => (i ? line.slice(1) : line)).join(''), `DESCRIPTION:${'가'.repeat(40)}`);
+  });
+
+  test('sessions become VEVENTs keyed by session id', () => {
+    const lines = renderCalendar([SESSION]).replace(/\r\n /g, '').split('\r\n');
+    assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+    assert.strictEqual(lines.at(-1), '');
+    assert.ok(lines.includes('UID:ses_A@routine-cli'));
+    assert.ok(lines.includes('DTSTAMP:20260201T020000Z'));
+    assert.ok(lines.includes('LAST-MODIFIED:20260201T020000Z'));
+    assert.ok(lines.includes('SEQUENCE:2'));
+    assert.ok(lines.includes('DTSTART:20260201T000000Z'));
+    assert.ok(lines.includes('DTEND:20260201T010000Z'));
+    assert.ok(lines.includes('SUMMARY:Deep Work'));
+    assert.ok(lines.includes('CATEGORIES:focus,a\\,b'));
+    assert.ok(lines.includes(
+      'DESCRIPTION:Chapter 3\\; drafts\\n\\nActive: 50m\\nPaused: 2026-02-01T09:20:00+09:00 - 2026-02-01T09:30:00+09:00'
+    ));
+  });
+});
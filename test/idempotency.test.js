@@ -0,0 +1,29 @@
+/**
+ * Unit tests for idempotency fingerprints
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { givenArgs, fingerprint } from '../src/idempotency.js';
+
+const START = {
+  command: 'start', subcommand: null, format: 'json', db: 'a.sqlite3', tz: null, quiet: false,
+  routine: 'Work', ts: '2026-02-01T09:00:00Z', tag: [], note: null, asOf: null, explain: false,
+  granularity: 'day', weekStart: 'mon', includeDeleted: false, idempotencyKey: 'k1'
+};
+
+describe('idempotency', () => {
+  test('only given arguments that affect the command are kept', () => {
+    assert.deepStrictEqual(givenArgs(START), { routine: 'Work', ts: '2026-02-01T09:00:00Z' });
+  });
+
+  test('new or defaulted options do not change the fingerprint', () => {
+    const upgraded = { ...START, atomic: false, someNewOption: null, pause: [], format: 'human', weekStart: 'sun' };
+    assert.strictEqual(fingerprint(upgraded), fingerprint(START));
+  });
+
+  test('given arguments do change it', () => {
+    assert.notStrictEqual(fingerprint({ ...START, tag: ['focus'] }), fingerprint(START));
+    assert.notStrictEqual(fingerprint({ ...START, ts: '2026-02-01T09:05:00Z' }), fingerprint(START));
+  });
+});
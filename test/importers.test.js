@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the session importers
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseCsv, parse as parseRoutineCsv } from '../src/importers/csv.js';
+import { parse as parseTimewarrior } from '../src/importers/timewarrior.js';
+import { parse as parseToggl } from '../src/importers/toggl.js';
+import { resolveImporter } from '../src/importers/index.js';
+
+describe('parseCsv', () => {
+  test('handles quotes, doubled quotes, line breaks and CRLF', () => {
+    assert.deepStrictEqual(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n\r\n'), [
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere']
+    ]);
+  });
+});
+
+describe('csv importer', () => {
+  test('reads routine-cli columns and leaves the key null without an id', () => {
+    const [entry] = parseRoutineCsv('routine,start,end,tags,note\nWork,2026-01-31T09:00:00Z,2026-01-31T10:00:00Z,a;b,hi\n');
+    assert.deepStrictEqual(entry, {
+      row: 1,
+      key: null,
+      routine: 'Work',
+      start: '2026-01-31T09:00:00Z',
+      end: '2026-01-31T10:00:00Z',
+      note: 'hi',
+      tags: ['a', 'b']
+    });
+  });
+
+  test('accepts status --format csv output and flags bad rows', () => {
+    const entries = parseRoutineCsv('id,routineName,start,end\nses_A,Work,2026-01-31T09:00:00Z,2026-01-31T10:00:00Z\nses_B,Work,yesterday,\n');
+    assert.strictEqual(entries[0].key, 'ses_A');
+    assert.strictEqual(entries[1].row, 2);
+    assert.match(entries[1].error, /^invalid start/);
+    assert.throws(() => parseRoutineCsv('name,start\n'), err => err.code === 'ERR_INVALID_ARGS');
+  });
+});
+
+describe('timewarrior importer', () => {
+  test('first tag names the routine; open intervals are rejected', () => {
+    const entries = parseTimewarrior(JSON.stringify([
+      { id: 2, start: '20260131T090000Z', end: '20260131T100000Z', tags: ['Work', 'focus'], annotation: 'ch 3' },
+      { id: 1, start: '20260201T090000Z', tags: ['Work'] }
+    ]));
+    assert.deepStrictEqual(entries[0], {
+      row: 1,
+      key: '20260131T090000Z',
+      routine: 'Work',
+      start: '2026-01-31T09:00:00Z',
+      end: '2026-01-31T10:00:00Z',
+      note: 'ch 3',
+      tags: ['focus']
+    });
+    assert.deepStrictEqual(entries[1], { row: 2, error: 'interval is still open' });
+    assert.throws(() => parseTimewarrior('not json'), err => err.code === 'ERR_INVALID_ARGS');
+  });
+});
+
+describe('toggl importer', () => {
+  test('reads local times in the given timezone', () => {
+    const csv = 'User,Email,Project,Description,Start date,Start time,End date,End time,Tags\n' +
+      'Me,me@x.io,Work,"Draft, v2",2026-02-03,09:00:00,2026-02-03,10:15:00,"focus, writing"\n' +
+      'Me,me@x.io,,misc,2026-02-03,11:00:00,2026-02-03,11:10:00,\n';
+    const [work, other] = parseToggl(csv, { tz: 'Asia/Seoul' });
+    assert.strictEqual(work.start, '2026-02-03T00:00:00Z');
+    assert.strictEqual(work.end, '2026-02-03T01:15:00Z');
+    assert.strictEqual(work.note, 'Draft, v2');
+    assert.deepStrictEqual(work.tags, ['focus', 'writing']);
+    assert.strictEqual(work.key, null);
+    assert.strictEqual(other.routine, 'No Project');
+  });
+
+  test('keys entries by their time entry id', () => {
+    const csv = 'ID,Project,Description,Start date,Start time,End date,End time\n' +
+      '4411,Work,Draft,2026-02-03,09:00:00,2026-02-03,10:15:00\n';
+    assert.strictEqual(parseToggl(csv, { tz: 'UTC' })[0].key, '4411');
+  });
+});
+
+test('resolveImporter rejects unknown providers', () => {
+  assert.strictEqual(resolveImporter('toggl').name, 'toggl');
+  assert.throws(() => resolveImporter('harvest'), err => err.code === 'ERR_INVALID_ARGS');
+});
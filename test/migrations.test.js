@@ -0,0 +1,112 @@
+/**
+ * Tests for schema migrations
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, existsSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import initSqlJs from 'sql.js';
+import { initDb } from '../src/db.js';
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  pendingMigrations,
+  runMigrations
+} from '../src/migrations.js';
+
+const NEXT = [
+  ...MIGRATIONS,
+  { version: SCHEMA_VERSION + 1, description: 'add routines.color', up: 'ALTER TABLE routines ADD COLUMN color TEXT NULL' }
+];
+
+describe('migrations', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'routine-cli-migrate-'));
+    dbPath = join(tmpDir, 'test.sqlite3');
+  });
+
+  afterEach(() => {
+    if (tmpDir && existsSync(tmpDir)) {
+      rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('a new database is migrated to the latest version without a backup', async () => {
+    const db = await initDb(dbPath);
+    assert.strictEqual(getSchemaVersion(db), SCHEMA_VERSION);
+    assert.strictEqual(db.migrations.from, 0);
+    assert.ok(db.migrations.applied.every(m => m.backup === null));
+    assert.deepStrictEqual(pendingMigrations(db), []);
+    db.close();
+  });
+
+  test('pending migrations are applied in order after a backup', async () => {
+    const db = await initDb(dbPath);
+    assert.deepStrictEqual(pendingMigrations(db, NEXT).map(m => m.version), [SCHEMA_VERSION + 1]);
+
+    const result = runMigrations(db, dbPath, NEXT);
+    assert.strictEqual(result.from, SCHEMA_VERSION);
+    assert.strictEqual(result.to, SCHEMA_VERSION + 1);
+    const backup = `${dbPath}.v${SCHEMA_VERSION}.bak`;
+    assert.deepStrictEqual(result.applied, [{ version: SCHEMA_VERSION + 1, description: 'add routines.color', backup }]);
+    db.close();
+
+    const SQL = await initSqlJs();
+    const before = new SQL.Database(readFileSync(backup));
+    assert.strictEqual(before.exec(`SELECT value FROM schema_info WHERE key = 'version'`)[0].values[0][0], String(SCHEMA_VERSION));
+    before.close();
+
+    const after = await initDb(dbPath, { migrate: false });
+    assert.strictEqual(getSchemaVersion(after), SCHEMA_VERSION + 1);
+    after.prepare('SELECT color FROM routines').all();
+    after.close();
+  });
+
+  test('upgrading from v1 seeds rule versions from existing routines', async () => {
+    const v1 = await initDb(dbPath, { migrate: false });
+    runMigrations(v1, dbPath, MIGRATIONS.slice(0, 1));
+    v1.prepare(`
+      INSERT INTO routines (id, name, tz, rule, created_at, archived_at)
+      VALUES ('rtn_A', 'A', 'Asia/Seoul', 'daily>=30m', '2026-01-31T09:00:00+09:00', NULL)
+    `).run();
+    // Created just before midnight UTC, which is already the next day in Seoul
+    v1.prepare(`
+      INSERT INTO routines (id, name, tz, rule, created_at, archived_at)
+      VALUES ('rtn_B', 'B', 'Asia/Seoul', 'daily>=1h', '2026-01-31T23:30:00Z', NULL)
+    `).run();
+    v1.close();
+
+    const db = await initDb(dbPath);
+    assert.deepStrictEqual(db.migrations.applied[0], { version: 2, description: 'versioned routine rules', backup: `${dbPath}.v1.bak` });
+    const rules = db.prepare('SELECT routine_id, rule, effective_date FROM routine_rules ORDER BY routine_id').all();
+    assert.deepStrictEqual(rules.map(r => ({ ...r })), [
+      { routine_id: 'rtn_A', rule: 'daily>=30m', effective_date: '2026-01-31' },
+      { routine_id: 'rtn_B', rule: 'daily>=1h', effective_date: '2026-02-01' }
+    ]);
+    db.close();
+  });
+
+  test('a failed migration is rolled back', async () => {
+    const db = await initDb(dbPath);
+    const broken = [...MIGRATIONS, { version: SCHEMA_VERSION + 1, description: 'broken', up: 'ALTER TABLE nope ADD COLUMN x TEXT' }];
+
+    assert.throws(() => runMigrations(db, dbPath, broken));
+    assert.strictEqual(getSchemaVersion(db), SCHEMA_VERSION);
+    db.close();
+  });
+
+  test('a database from a newer routine-cli is refused', async () => {
+    const db = await initDb(dbPath);
+    runMigrations(db, dbPath, NEXT);
+    db.close();
+
+    await assert.rejects(initDb(dbPath), err => err.code === 'ERR_SCHEMA_TOO_NEW' && err.details.version === SCHEMA_VERSION + 1);
+    assert.ok(!existsSync(`${dbPath}.lock`));
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Unit tests for walking sessions across windows
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { sessionCursor } from '../src/period.js';
+
+function day(date) {
+  return { start: new Date(`${date}T00:00:00Z`), end: new Date(new Date(`${date}T00:00:00Z`).getTime() + 86400000) };
+}
+
+describe('sessionCursor', () => {
+  test('gives each window the sessions overlapping it, in start order', () => {
+    const sessions = [
+      { id: 'late', start: '2026-01-02T07:00:00+09:00', end: '2026-01-02T08:00:00+09:00' },
+      { id: 'jan1', start: '2026-01-01T09:00:00Z', end: '2026-01-01T10:00:00Z' },
+      { id: 'across', start: '2026-01-01T23:00:00Z', end: '2026-01-02T01:00:00Z' },
+      { id: 'open', start: '2026-01-02T12:00:00Z', end: null }
+    ];
+    const sessionsIn = sessionCursor(sessions);
+    const ids = boundaries => sessionsIn(boundaries).map(s => s.id);
+
+    assert.deepStrictEqual(ids(day('2026-01-01')), ['jan1', 'late', 'across']);
+    assert.deepStrictEqual(ids(day('2026-01-02')), ['across', 'open']);
+    assert.deepStrictEqual(ids(day('2026-01-03')), ['open']);
+  });
+
+  test('keeps zero-length sessions in the window they start in', () => {
+    const sessionsIn = sessionCursor([{ id: 'blip', start: '2026-01-02T00:00:00Z', end: '2026-01-02T00:00:00Z' }]);
+    assert.deepStrictEqual(sessionsIn(day('2026-01-01')), []);
+    assert.deepStrictEqual(sessionsIn(day('2026-01-02')).map(s => s.id), ['blip']);
+    assert.deepStrictEqual(sessionsIn(day('2026-01-03')), []);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for human output rendering
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { useColor, displayWidth, table, progressBar, renderHuman } from '../src/render.js';
+
+const plain = (style, text) => text;
+
+const SESSION = {
+  id: 'ses_A',
+  routineId: 'rtn_A',
+  routineName: 'Deep Work',
+  start: '2026-02-01T09:00:00+09:00',
+  end: null,
+  status: 'paused',
+  pauses: [{ start: '2026-02-01T09:20:00+09:00', end: null }],
+  tags: ['focus'],
+  note: null,
+  deletedAt: null,
+  computed: { asOf: '2026-02-01T09:30:00+09:00', durationSeconds: 1800, pausedSeconds: 600, activeSeconds: 1200 }
+};
+
+describe('render', () => {
+  test('color needs a terminal and an unset or empty NO_COLOR', () => {
+    assert.strictEqual(useColor({ isTTY: true }, {}), true);
+    assert.strictEqual(useColor({ isTTY: true }, { NO_COLOR: '1' }), false);
+    assert.strictEqual(useColor({ isTTY: true }, { NO_COLOR: '' }), true);
+    assert.strictEqual(useColor({ isTTY: false }, {}), false);
+  });
+
+  test('wide characters take two columns and color codes none', () => {
+    assert.strictEqual(displayWidth('독서'), 4);
+    assert.strictEqual(displayWidth('\u001b[1mab\u001b[22m'), 2);
+  });
+
+  test('tables align columns by display width', () => {
+    const lines = table(['NAME', 'RULE'], [['독서', 'weekly>=3x'], ['Run', 'daily>=30m']], plain);
+    assert.deepStrictEqual(lines, ['NAME  RULE', '독서  weekly>=3x', 'Run   daily>=30m']);
+  });
+
+  test('progress bars clamp to full', () => {
+    assert.strictEqual(progressBar(0.5, plain), `${'█'.repeat(10)}${'░'.repeat(10)}`);
+    assert.strictEqual(progressBar(2, plain), '█'.repeat(20));
+  });
+
+  test('status card shows durations with formatDuration', () => {
+    const text = renderHuman('status', { session: SESSION });
+    assert.match(text, /^Session {2}ses_A$/m);
+    assert.match(text, /^Active {3}20m$/m);
+    assert.match(text, /^Paused {3}10m \(1 pause\)$/m);
+    assert.match(text, /^As of {4}2026-02-01T09:30:00\+09:00$/m);
+    assert.ok(!text.includes('\u001b['));
+  });
+
+  test('color wraps styled text in ANSI codes', () => {
+    const text = renderHuman('status', { session: SESSION }, { color: true });
+    assert.ok(text.includes('\u001b[33mpaused\u001b[39m'));
+  });
+
+  test('quiet prints only ids', () => {
+    assert.strictEqual(renderHuman('active', { sessions: [SESSION, { ...SESSION, id: 'ses_B' }] }, { quiet: true }), 'ses_A\nses_B\n');
+    assert.strictEqual(renderHuman('list', { routines: [{ id: 'rtn_A' }] }, { quiet: true }), 'rtn_A\n');
+    assert.strictEqual(renderHuman('db', { version: 6 }, { quiet: true }), '');
+  });
+
+  test('commands without a renderer fall back to indented JSON', () => {
+    assert.strictEqual(renderHuman('db', { version: 6 }), '{\n  "version": 6\n}\n');
+  });
+});
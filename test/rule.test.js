@@ -0,0 +1,65 @@
+/**
+ * Unit tests for the rule DSL parser
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseRule, evaluateRule } from '../src/rule.js';
+
+describe('parseRule', () => {
+  test('daily duration rule', () => {
+    const result = parseRule('daily>=30m');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.ast, {
+      period: { type: 'daily' },
+      comparator: '>=',
+      target: { unit: 'seconds', value: 1800 }
+    });
+  });
+
+  test('weekday list is normalized to week order', () => {
+    const result = parseRule('fri,mon,wed>=45m');
+    assert.deepStrictEqual(result.ast.period, { type: 'weekdays', days: ['mon', 'wed', 'fri'] });
+  });
+
+  test('session counts and whitespace between tokens', () => {
+    assert.deepStrictEqual(parseRule('weekly >= 3x').ast.target, { unit: 'sessions', value: 3 });
+    assert.deepStrictEqual(parseRule('daily==2sessions').ast.target, { unit: 'sessions', value: 2 });
+    assert.strictEqual(parseRule('monthly<=10h').ast.comparator, '<=');
+  });
+
+  test('errors point at the offending position', () => {
+    assert.deepStrictEqual(
+      [parseRule('dialy>=30m').position, parseRule('daily>30m').position, parseRule('daily>=3Om').position],
+      [0, 5, 8]
+    );
+    assert.strictEqual(parseRule('mon,mon>=1h').position, 4);
+    assert.strictEqual(parseRule('daily>=30m extra').position, 11);
+    assert.strictEqual(parseRule('daily>=1m1h').valid, false);
+    assert.strictEqual(parseRule('').valid, false);
+  });
+});
+
+describe('evaluateRule', () => {
+  const totals = (activeSeconds, sessionsCount = 0) => ({ activeSeconds, sessionsCount });
+
+  test('>= is met as soon as the target is reached', () => {
+    const ast = parseRule('daily>=30m').ast;
+    assert.strictEqual(evaluateRule(ast, totals(1800), false), 'met');
+    assert.strictEqual(evaluateRule(ast, totals(600), false), 'pending');
+    assert.strictEqual(evaluateRule(ast, totals(600), true), 'missed');
+  });
+
+  test('<= is only met once the window closes', () => {
+    const ast = parseRule('daily<=1h').ast;
+    assert.strictEqual(evaluateRule(ast, totals(600), false), 'pending');
+    assert.strictEqual(evaluateRule(ast, totals(600), true), 'met');
+    assert.strictEqual(evaluateRule(ast, totals(4000), false), 'missed');
+  });
+
+  test('session count targets', () => {
+    const ast = parseRule('daily==2x').ast;
+    assert.strictEqual(evaluateRule(ast, totals(0, 2), true), 'met');
+    assert.strictEqual(evaluateRule(ast, totals(0, 3), false), 'missed');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for timezone-aware date handling
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { zonedTimeToInstant, getDayBoundaries } from '../src/time.js';
+
+const HOUR = 3600 * 1000;
+
+function dayLength(date, tz) {
+  const { start, end } = getDayBoundaries(date, tz);
+  return (end.getTime() - start.getTime()) / HOUR;
+}
+
+describe('getDayBoundaries', () => {
+  test('zones without DST have 24-hour days', () => {
+    const { start, end } = getDayBoundaries('2026-01-31', 'Asia/Seoul');
+    assert.strictEqual(start.toISOString(), '2026-01-30T15:00:00.000Z');
+    assert.strictEqual(end.toISOString(), '2026-01-31T15:00:00.000Z');
+    assert.strictEqual(getDayBoundaries('2026-01-31', 'Asia/Kolkata').start.toISOString(), '2026-01-30T18:30:00.000Z');
+  });
+
+  test('America/New_York spring-forward day is 23 hours', () => {
+    const { start, end } = getDayBoundaries('2026-03-08', 'America/New_York');
+    assert.strictEqual(start.toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.strictEqual(end.toISOString(), '2026-03-09T04:00:00.000Z');
+    assert.strictEqual(dayLength('2026-03-08', 'America/New_York'), 23);
+  });
+
+  test('America/New_York fall-back day is 25 hours', () => {
+    const { start, end } = getDayBoundaries('2026-11-01', 'America/New_York');
+    assert.strictEqual(start.toISOString(), '2026-11-01T04:00:00.000Z');
+    assert.strictEqual(end.toISOString(), '2026-11-02T05:00:00.000Z');
+    assert.strictEqual(dayLength('2026-11-01', 'America/New_York'), 25);
+  });
+
+  test('Europe/Berlin transition days', () => {
+    assert.strictEqual(getDayBoundaries('2026-03-29', 'Europe/Berlin').start.toISOString(), '2026-03-28T23:00:00.000Z');
+    assert.strictEqual(dayLength('2026-03-29', 'Europe/Berlin'), 23);
+    assert.strictEqual(getDayBoundaries('2026-10-25', 'Europe/Berlin').end.toISOString(), '2026-10-25T23:00:00.000Z');
+    assert.strictEqual(dayLength('2026-10-25', 'Europe/Berlin'), 25);
+    assert.strictEqual(dayLength('2026-10-26', 'Europe/Berlin'), 24);
+  });
+
+  test('midnight inside a DST gap starts the day at the first valid instant', () => {
+    // Chile springs forward at 24:00 on the first Saturday of September
+    const { start } = getDayBoundaries('2026-09-06', 'America/Santiago');
+    assert.strictEqual(start.toISOString(), '2026-09-06T04:00:00.000Z');
+    assert.strictEqual(dayLength('2026-09-06', 'America/Santiago'), 23);
+    assert.strictEqual(dayLength('2026-09-05', 'America/Santiago'), 24);
+  });
+});
+
+describe('zonedTimeToInstant', () => {
+  test('gap hour resolves forward', () => {
+    assert.strictEqual(zonedTimeToInstant('2026-03-08', '02:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.strictEqual(zonedTimeToInstant('2026-03-29', '02:30', 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+  });
+
+  test('overlap hour resolves to the earlier instant', () => {
+    assert.strictEqual(zonedTimeToInstant('2026-11-01', '01:30', 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.strictEqual(zonedTimeToInstant('2026-10-25', '02:30', 'Europe/Berlin').toISOString(), '2026-10-25T00:30:00.000Z');
+  });
+
+  test('ordinary times on either side of a transition', () => {
+    assert.strictEqual(zonedTimeToInstant('2026-03-08', '01:59:59', 'America/New_York').toISOString(), '2026-03-08T06:59:59.000Z');
+    assert.strictEqual(zonedTimeToInstant('2026-03-08', '03:00', 'America/New_York').toISOString(), '2026-03-08T07:00:00.000Z');
+  });
+});